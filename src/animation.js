@@ -0,0 +1,413 @@
+import * as THREE from "three";
+import { getTimeScale } from "./time";
+
+/**
+ * Character animation driven by movement state.
+ * The controller classifies the movement state into an animation state
+ * (idle, walk, run, jumpRise, fall, land, swim, fly), cross-fades weights
+ * between states and hands them to a rig. Rigs pose the object: the built-in
+ * "bunny" rig is procedural (tilt, squash, ear flop), createMixerRig plays
+ * AnimationMixer clips for GLTF characters, and games can register their own.
+ *
+ * Per frame (after movement):
+ *   applyTransform(state, player, alpha);
+ *   animator.update(state, dt);
+ */
+
+/**
+ * Animation states, in the order the default classifier checks them
+ */
+export const AnimationStates = ["swim", "fly", "land", "jumpRise", "fall", "run", "walk", "idle"];
+
+/**
+ * Classify a movement state into an animation state
+ * @param {Object} state - Movement state
+ * @param {Object} options - { runSpeed = 5.5, landing = false }
+ *   runSpeed: horizontal speed above which walking counts as running
+ *   landing: true while the controller's land timer is running
+ * @returns {string} Animation state name
+ */
+export function classifyAnimationState(state, options = {}) {
+  const runSpeed = options.runSpeed ?? 5.5;
+
+  if (state.mode === "swim") return "swim";
+  if (state.mode === "fly" && !state.grounded) return "fly";
+  if (!state.grounded) return state.vy > 0 ? "jumpRise" : "fall";
+  if (options.landing) return "land";
+  if (!state.isMoving) return "idle";
+
+  const speed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
+  return state.mode === "run" || speed > runSpeed ? "run" : "walk";
+}
+
+// Rig factories by name: (object, options) => rig
+const rigFactories = new Map();
+
+/**
+ * Register a rig factory so controllers can use it by name
+ * @param {string} name - Rig name
+ * @param {Function} factory - Function(object, options) => rig
+ *   rig: { update(object, state, weights, dt, time), onEnter?(stateName), dispose?() }
+ */
+export function registerRig(name, factory) {
+  rigFactories.set(name, factory);
+}
+
+/**
+ * Create a registered rig
+ * @param {string} name - Rig name
+ * @param {THREE.Object3D} object - Character object
+ * @param {Object} options - Rig options
+ * @returns {Object} Rig
+ */
+export function createRig(name, object, options = {}) {
+  const factory = rigFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown animation rig: ${name}`);
+  }
+  return factory(object, options);
+}
+
+/**
+ * Bunny poses per animation state.
+ * Each returns { tiltX, tiltZ, squash, offsetY, earL, earR } (ears are rotation.z).
+ */
+const BunnyPoses = {
+  idle: (state, time) => ({
+    tiltX: 0,
+    tiltZ: 0,
+    squash: 1,
+    offsetY: Math.sin(time * 3) * 0.02,
+    earL: 0.15 + Math.sin(time * 4) * 0.06,
+    earR: -0.15 - Math.cos(time * 4) * 0.06,
+  }),
+  walk: (state) => {
+    const tilt = Math.sin(state.walkCycle) * 0.08;
+    const flop = Math.sin(state.walkCycle * 2) * 0.2;
+    return {
+      tiltX: tilt * 0.5,
+      tiltZ: -tilt * 0.3,
+      squash: 1 + Math.sin(state.walkCycle * 2) * 0.03,
+      offsetY: Math.sin(state.walkCycle * 2) * 0.04,
+      earL: 0.15 + flop,
+      earR: -0.15 - flop,
+    };
+  },
+  run: (state) => {
+    const tilt = Math.sin(state.walkCycle) * 0.1;
+    const flop = Math.sin(state.walkCycle * 2) * 0.3;
+    return {
+      tiltX: 0.12 + tilt * 0.5, // Lean into the run
+      tiltZ: -tilt * 0.3,
+      squash: 1 + Math.sin(state.walkCycle * 2) * 0.05,
+      offsetY: Math.abs(Math.sin(state.walkCycle * 2)) * 0.06,
+      earL: 0.35 + flop,
+      earR: -0.35 - flop,
+    };
+  },
+  jumpRise: () => ({ tiltX: -0.05, tiltZ: 0, squash: 0.88, offsetY: 0, earL: 0.05, earR: -0.05 }),
+  fall: () => ({ tiltX: 0.05, tiltZ: 0, squash: 0.96, offsetY: 0, earL: 0.5, earR: -0.5 }),
+  land: () => ({ tiltX: 0, tiltZ: 0, squash: 1.18, offsetY: -0.05, earL: 0.6, earR: -0.6 }),
+  swim: (state, time) => ({
+    tiltX: 0.25,
+    tiltZ: Math.sin(time * 2.5) * 0.06,
+    squash: 1,
+    offsetY: 0,
+    earL: 0.4 + Math.sin(time * 2) * 0.1,
+    earR: -0.4 - Math.sin(time * 2) * 0.1,
+  }),
+  fly: (state, time) => ({
+    tiltX: 0.2,
+    tiltZ: 0,
+    squash: 1,
+    offsetY: Math.sin(time * 2) * 0.05,
+    earL: 0.9 + Math.sin(time * 18) * 0.15, // Ears flap like wings
+    earR: -0.9 - Math.sin(time * 18) * 0.15,
+  }),
+};
+
+const POSE_KEYS = ["tiltX", "tiltZ", "squash", "offsetY", "earL", "earR"];
+
+/**
+ * Procedural bunny rig (createPlayer / createOtherPlayer).
+ * Expects applyTransform to have set the object's position this frame.
+ * @param {THREE.Object3D} object - Bunny group (uses userData.ears if present)
+ * @param {Object} options - { poses } - override or add poses by state name
+ * @returns {Object} Rig
+ */
+function createBunnyRig(object, options = {}) {
+  const poses = { ...BunnyPoses, ...options.poses };
+  const pose = {};
+
+  function update(obj, state, weights, dt, time) {
+    for (const key of POSE_KEYS) pose[key] = 0;
+
+    let total = 0;
+    for (const name of Object.keys(weights)) {
+      const w = weights[name];
+      if (w <= 0) continue;
+      const p = (poses[name] || poses.idle)(state, time);
+      for (const key of POSE_KEYS) pose[key] += (p[key] ?? 0) * w;
+      total += w;
+    }
+    if (total <= 0) return;
+    for (const key of POSE_KEYS) pose[key] /= total;
+
+    obj.position.y += pose.offsetY;
+    obj.rotation.x = pose.tiltX;
+    obj.rotation.z = pose.tiltZ;
+    obj.scale.set(pose.squash, 1 / pose.squash, pose.squash);
+
+    const ears = obj.userData.ears;
+    if (ears) {
+      ears.earL.rotation.z = pose.earL;
+      ears.earR.rotation.z = pose.earR;
+    }
+  }
+
+  return { update };
+}
+
+registerRig("bunny", createBunnyRig);
+
+// Clip used when a character has none for a state
+const CLIP_FALLBACKS = {
+  run: "walk",
+  walk: "idle",
+  jumpRise: "fall",
+  fall: "idle",
+  land: "idle",
+  swim: "idle",
+  fly: "idle",
+};
+
+/**
+ * AnimationMixer rig for GLTF / skinned characters.
+ * Missing states fall back (run -> walk -> idle, jumpRise -> fall -> idle, ...).
+ * @param {THREE.Object3D} object - Character root (mixer root)
+ * @param {Object} options - Configuration
+ * @param {Object} options.clips - State name -> clip name or THREE.AnimationClip, e.g. { idle: 'Idle', walk: 'Walk' }
+ * @param {THREE.AnimationClip[]} options.animations - Clip list for name lookup (default object.animations, or gltf.animations)
+ * @param {Object} options.referenceSpeed - State -> speed the clip was authored at, e.g. { walk: 4.5, run: 7 }
+ *   Playback rate scales with horizontal speed for those states.
+ * @param {string[]} options.once - States whose clips play once and hold (default ['land'])
+ * @returns {Object} Rig (also exposes mixer and actions)
+ */
+export function createMixerRig(object, options = {}) {
+  const mixer = new THREE.AnimationMixer(object);
+  const animations = options.animations ?? object.animations ?? [];
+  const referenceSpeed = options.referenceSpeed ?? {};
+  const once = options.once ?? ["land"];
+
+  const actions = {}; // state -> action
+  for (const [name, clip] of Object.entries(options.clips ?? {})) {
+    const resolved = typeof clip === "string" ? THREE.AnimationClip.findByName(animations, clip) : clip;
+    if (!resolved) {
+      console.warn(`createMixerRig: clip "${clip}" not found for state "${name}"`);
+      continue;
+    }
+    const action = mixer.clipAction(resolved);
+    if (once.includes(name)) {
+      action.setLoop(THREE.LoopOnce, 1);
+      action.clampWhenFinished = true;
+    }
+    action.setEffectiveWeight(0);
+    action.play();
+    actions[name] = action;
+  }
+
+  function actionFor(name) {
+    let n = name;
+    while (n && !actions[n]) n = CLIP_FALLBACKS[n];
+    return n ? actions[n] : null;
+  }
+
+  const actionWeights = new Map();
+
+  function update(obj, state, weights, dt) {
+    actionWeights.clear();
+    for (const name of Object.keys(weights)) {
+      const action = actionFor(name);
+      if (!action) continue;
+      actionWeights.set(action, (actionWeights.get(action) ?? 0) + weights[name]);
+    }
+
+    const speed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
+    for (const [name, action] of Object.entries(actions)) {
+      action.setEffectiveWeight(actionWeights.get(action) ?? 0);
+      if (referenceSpeed[name]) {
+        action.setEffectiveTimeScale(Math.max(0.2, speed / referenceSpeed[name]));
+      }
+    }
+
+    mixer.update(dt);
+  }
+
+  // Restart one-shot clips each time their state is entered
+  function onEnter(name) {
+    if (!once.includes(name)) return;
+    const action = actionFor(name);
+    if (action) action.reset().play();
+  }
+
+  function dispose() {
+    mixer.stopAllAction();
+    mixer.uncacheRoot(object);
+  }
+
+  return { update, onEnter, dispose, mixer, actions };
+}
+
+registerRig("mixer", createMixerRig);
+
+/**
+ * Create an animation controller for a character
+ * @param {THREE.Object3D} object - Character object
+ * @param {Object} options - Configuration
+ * @param {string|Object} options.rig - Rig name ('bunny', 'mixer', or registered) or rig object (default 'bunny')
+ * @param {Object} options.rigOptions - Options for a named rig (e.g. createMixerRig's clips)
+ * @param {number} options.fadeDuration - Default cross-fade in seconds (default 0.15)
+ * @param {Object} options.fades - Per-transition fades, keyed "from>to" or "*>to", e.g. { 'fall>land': 0.05 }
+ * @param {number} options.landDuration - Seconds the land state holds after touching down (default 0.15)
+ * @param {number} options.minAirTime - Airborne seconds before a touchdown counts as a landing (default 0.2)
+ * @param {number} options.runSpeed - See classifyAnimationState
+ * @param {Function} options.classify - Custom classifier function(state, { landing }) => state name
+ * @param {Function} options.onStateChange - Function(next, previous)
+ * @returns {Object} Animation controller API
+ */
+export function createAnimationController(object, options = {}) {
+  const fadeDuration = options.fadeDuration ?? 0.15;
+  const fades = options.fades ?? {};
+  const landDuration = options.landDuration ?? 0.15;
+  const minAirTime = options.minAirTime ?? 0.2;
+  const runSpeed = options.runSpeed ?? 5.5;
+  const classify = options.classify ?? classifyAnimationState;
+  const onStateChange = options.onStateChange || null;
+
+  let rig = resolveRig(options.rig ?? "bunny", options.rigOptions);
+  let current = "idle";
+  let weights = { idle: 1 };
+  let fade = fadeDuration;
+  let time = 0;
+  let airTime = 0;
+  let landTimer = 0;
+  let wasGrounded = true;
+  let override = null; // { name, timer }
+
+  function resolveRig(r, rigOptions) {
+    return typeof r === "string" ? createRig(r, object, rigOptions) : r;
+  }
+
+  function fadeFor(from, to) {
+    return fades[`${from}>${to}`] ?? fades[`*>${to}`] ?? fadeDuration;
+  }
+
+  function enter(next) {
+    if (next === current) return;
+    const previous = current;
+    fade = fadeFor(previous, next);
+    current = next;
+    if (!(next in weights)) weights[next] = 0;
+    if (rig.onEnter) rig.onEnter(next);
+    if (onStateChange) onStateChange(next, previous);
+  }
+
+  /**
+   * Classify the movement state, advance cross-fades and pose the object
+   * @param {Object} state - Movement state
+   * @param {number} frameDt - Delta time in seconds (scaled by the global time scale)
+   */
+  function update(state, frameDt) {
+    const dt = frameDt * getTimeScale();
+    time += dt;
+
+    // Landing detection
+    if (!state.grounded) {
+      airTime += dt;
+    } else if (!wasGrounded && airTime >= minAirTime) {
+      landTimer = landDuration;
+    }
+    if (state.grounded) airTime = 0;
+    wasGrounded = state.grounded;
+    landTimer = Math.max(0, landTimer - dt);
+
+    if (override) {
+      override.timer -= dt;
+      if (override.timer <= 0) override = null;
+    }
+
+    enter(override ? override.name : classify(state, { landing: landTimer > 0, runSpeed }));
+
+    // Cross-fade: current toward 1, everything else toward 0
+    const step = fade > 0 ? dt / fade : 1;
+    for (const name of Object.keys(weights)) {
+      if (name === current) {
+        weights[name] = Math.min(1, weights[name] + step);
+      } else {
+        weights[name] = Math.max(0, weights[name] - step);
+        if (weights[name] === 0) delete weights[name];
+      }
+    }
+
+    rig.update(object, state, weights, dt, time);
+  }
+
+  /**
+   * Force an animation state (emotes, hit reactions) regardless of movement
+   * @param {string} name - Animation state name
+   * @param {number} duration - Seconds to hold (default Infinity, until clearState)
+   */
+  function playState(name, duration = Infinity) {
+    override = { name, timer: duration };
+  }
+
+  /**
+   * Return to movement-driven states after playState
+   */
+  function clearState() {
+    override = null;
+  }
+
+  /**
+   * Get the current animation state
+   * @returns {string}
+   */
+  function getState() {
+    return current;
+  }
+
+  /**
+   * Get a copy of the current blend weights
+   * @returns {Object} state name -> weight
+   */
+  function getWeights() {
+    return { ...weights };
+  }
+
+  /**
+   * Swap the rig (e.g. after loading a GLTF avatar)
+   * @param {string|Object} nextRig - Rig name or rig object
+   * @param {Object} rigOptions - Options for a named rig
+   */
+  function setRig(nextRig, rigOptions = {}) {
+    if (rig.dispose) rig.dispose();
+    rig = resolveRig(nextRig, rigOptions);
+  }
+
+  /**
+   * Release the rig
+   */
+  function dispose() {
+    if (rig.dispose) rig.dispose();
+  }
+
+  return {
+    update,
+    playState,
+    clearState,
+    getState,
+    getWeights,
+    setRig,
+    dispose,
+  };
+}
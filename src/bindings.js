@@ -0,0 +1,318 @@
+/**
+ * Rebindable key bindings.
+ * Maps action names to one or more KeyboardEvent.code values, with conflict
+ * detection, localStorage persistence and a "press a key to bind" helper.
+ */
+
+const STORAGE_KEY = "molinarKeyBindings";
+const STORAGE_VERSION = 1;
+
+/**
+ * Default bindings (WASD + arrows, matching the original hardcoded keys)
+ */
+export const DefaultKeyBindings = {
+  moveForward: ["KeyW", "ArrowUp"],
+  moveBackward: ["KeyS", "ArrowDown"],
+  moveLeft: ["KeyA", "ArrowLeft"],
+  moveRight: ["KeyD", "ArrowRight"],
+  moveUp: ["KeyE"],       // Fly ascend
+  moveDown: ["KeyC"],     // Fly descend
+  jump: ["Space"],
+  sprint: ["ShiftLeft", "ShiftRight"],
+  chat: ["Enter"],
+  ping: ["KeyQ"],
+  toggleFirstPerson: ["KeyV"],
+};
+
+function cloneBindings(bindings) {
+  const out = {};
+  for (const action of Object.keys(bindings)) {
+    out[action] = [...bindings[action]];
+  }
+  return out;
+}
+
+/**
+ * Create a key bindings registry
+ * @param {Object} options - { defaults = DefaultKeyBindings, storageKey, autoLoad = true }
+ * @returns {Object} Key bindings API
+ */
+export function createKeyBindings(options = {}) {
+  const defaults = cloneBindings(options.defaults ?? DefaultKeyBindings);
+  const storageKey = options.storageKey ?? STORAGE_KEY;
+
+  let bindings = cloneBindings(defaults);
+  let codeToAction = new Map();
+
+  function rebuildIndex() {
+    codeToAction = new Map();
+    for (const action of Object.keys(bindings)) {
+      for (const code of bindings[action]) {
+        codeToAction.set(code, action);
+      }
+    }
+  }
+
+  /**
+   * Get action bound to a key code
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string|null} Action name or null if unbound
+   */
+  function getAction(code) {
+    return codeToAction.get(code) ?? null;
+  }
+
+  /**
+   * Get key codes bound to an action
+   * @param {string} action - Action name
+   * @returns {string[]} Key codes (empty if none)
+   */
+  function getKeys(action) {
+    return bindings[action] ? [...bindings[action]] : [];
+  }
+
+  /**
+   * Bind a key to an action.
+   * If the key already belongs to another action, nothing changes unless
+   * replace is set, in which case the key moves to the new action.
+   * @param {string} action - Action name
+   * @param {string} code - KeyboardEvent.code
+   * @param {Object} opts - { replace = false }
+   * @returns {Object} { ok, conflict } - conflict is the other action's name or null
+   */
+  function bindKey(action, code, opts = {}) {
+    if (!bindings[action]) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+
+    const existing = getAction(code);
+    if (existing === action) return { ok: true, conflict: null };
+    if (existing && !opts.replace) return { ok: false, conflict: existing };
+
+    if (existing) {
+      bindings[existing] = bindings[existing].filter((c) => c !== code);
+    }
+    bindings[action].push(code);
+    rebuildIndex();
+    return { ok: true, conflict: existing };
+  }
+
+  /**
+   * Replace all keys for an action
+   * @param {string} action - Action name
+   * @param {string[]} codes - Key codes
+   * @param {Object} opts - { replace = false } - see bindKey
+   * @returns {Object} { ok, conflicts } - conflicts is a list of { code, action }
+   */
+  function setKeys(action, codes, opts = {}) {
+    if (!bindings[action]) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+
+    const conflicts = codes
+      .map((code) => ({ code, action: getAction(code) }))
+      .filter((c) => c.action && c.action !== action);
+    if (conflicts.length > 0 && !opts.replace) {
+      return { ok: false, conflicts };
+    }
+
+    for (const { code, action: other } of conflicts) {
+      bindings[other] = bindings[other].filter((c) => c !== code);
+    }
+    bindings[action] = [...new Set(codes)];
+    rebuildIndex();
+    return { ok: true, conflicts };
+  }
+
+  /**
+   * Remove a key from whichever action it is bound to
+   * @param {string} code - KeyboardEvent.code
+   */
+  function unbindKey(code) {
+    const action = getAction(code);
+    if (!action) return;
+    bindings[action] = bindings[action].filter((c) => c !== code);
+    rebuildIndex();
+  }
+
+  /**
+   * Find keys bound to more than one action (only possible via load/constructor input)
+   * @returns {Object[]} List of { code, actions }
+   */
+  function findConflicts() {
+    const seen = new Map();
+    for (const action of Object.keys(bindings)) {
+      for (const code of bindings[action]) {
+        if (!seen.has(code)) seen.set(code, []);
+        seen.get(code).push(action);
+      }
+    }
+    const conflicts = [];
+    for (const [code, actions] of seen) {
+      if (actions.length > 1) conflicts.push({ code, actions });
+    }
+    return conflicts;
+  }
+
+  /**
+   * Get a copy of all bindings
+   * @returns {Object} action -> codes
+   */
+  function getAll() {
+    return cloneBindings(bindings);
+  }
+
+  /**
+   * Reset all bindings (or one action) to defaults.
+   * Resetting one action takes its default keys away from any other action,
+   * so a key is never bound twice.
+   * @param {string} action - Optional action to reset
+   */
+  function reset(action) {
+    if (action) {
+      const codes = [...(defaults[action] || [])];
+      for (const other of Object.keys(bindings)) {
+        if (other !== action) bindings[other] = bindings[other].filter((c) => !codes.includes(c));
+      }
+      bindings[action] = codes;
+    } else {
+      bindings = cloneBindings(defaults);
+    }
+    rebuildIndex();
+  }
+
+  /**
+   * Serialize bindings to a JSON string
+   * @returns {string}
+   */
+  function serialize() {
+    return JSON.stringify({ version: STORAGE_VERSION, bindings });
+  }
+
+  /**
+   * Load bindings from a JSON string. Unknown actions and non-string codes are dropped.
+   * @param {string} json - Output of serialize()
+   * @returns {boolean} Whether anything was loaded
+   */
+  function deserialize(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      return false;
+    }
+    const saved = data?.bindings;
+    if (!data || data.version !== STORAGE_VERSION || !saved || typeof saved !== "object" || Array.isArray(saved)) {
+      return false;
+    }
+
+    const next = cloneBindings(defaults);
+    for (const action of Object.keys(next)) {
+      const codes = saved[action];
+      if (Array.isArray(codes)) {
+        next[action] = codes.filter((c) => typeof c === "string");
+      }
+    }
+    bindings = next;
+    rebuildIndex();
+    return true;
+  }
+
+  /**
+   * Save bindings to localStorage
+   */
+  function save() {
+    if (typeof localStorage === "undefined") return;
+    try {
+      localStorage.setItem(storageKey, serialize());
+    } catch (e) {
+      // Storage full or disabled (private mode) - bindings stay in memory
+    }
+  }
+
+  /**
+   * Load bindings from localStorage
+   * @returns {boolean} Whether saved bindings were found and loaded
+   */
+  function load() {
+    if (typeof localStorage === "undefined") return false;
+    const saved = localStorage.getItem(storageKey);
+    return saved ? deserialize(saved) : false;
+  }
+
+  /**
+   * Wait for the next key press and bind it to an action ("press a key to bind").
+   * Escape cancels.
+   * @param {string} action - Action name
+   * @param {Object} opts - { target = window, replace = false, cancelCode = "Escape" }
+   * @returns {Object} { promise, cancel } - promise resolves to bindKey() result, or null if cancelled
+   */
+  function captureKey(action, opts = {}) {
+    const target = opts.target ?? window;
+    const cancelCode = opts.cancelCode ?? "Escape";
+    let finish;
+
+    const promise = new Promise((resolve) => {
+      finish = (result) => {
+        target.removeEventListener("keydown", onKeyDown, true);
+        resolve(result);
+      };
+    });
+
+    function onKeyDown(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === cancelCode) {
+        finish(null);
+        return;
+      }
+      finish({ code: e.code, ...bindKey(action, e.code, { replace: opts.replace }) });
+    }
+
+    // Capture phase so the game's own key handlers don't see the press
+    target.addEventListener("keydown", onKeyDown, true);
+
+    return { promise, cancel: () => finish(null) };
+  }
+
+  rebuildIndex();
+  if (options.autoLoad ?? true) load();
+
+  return {
+    getAction,
+    getKeys,
+    bindKey,
+    setKeys,
+    unbindKey,
+    findConflicts,
+    getAll,
+    reset,
+    serialize,
+    deserialize,
+    save,
+    load,
+    captureKey,
+  };
+}
+
+// Shared registry used by keyCodeToScreenDirection and the input manager
+let activeBindings = null;
+
+/**
+ * Get the shared key bindings registry (created on first use)
+ * @returns {Object} Key bindings API
+ */
+export function getKeyBindings() {
+  if (!activeBindings) {
+    activeBindings = createKeyBindings();
+  }
+  return activeBindings;
+}
+
+/**
+ * Replace the shared key bindings registry
+ * @param {Object} bindings - Registry from createKeyBindings()
+ */
+export function setKeyBindings(bindings) {
+  activeBindings = bindings;
+}
@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { getTimeScale } from "./time";
 
 /**
  * Camera system with orbit controls, zoom, and player following.
@@ -18,7 +19,7 @@ export function normalizeAngle(angle) {
 
 /**
  * Create camera state object
- * @param {Object} options - Camera options
+ * @param {Object} options - Camera options (any field below)
  * @returns {Object} Camera state
  */
 export function createCameraState(options = {}) {
@@ -28,6 +29,22 @@ export function createCameraState(options = {}) {
     zoom: options.zoom ?? 0.75,                 // Zoom level (smaller = closer)
     zoomMin: options.zoomMin ?? 0.5,           // Min zoom (closest)
     zoomMax: options.zoomMax ?? 1.2,           // Max zoom (farthest) - allows wider FOV
+    pitchMin: options.pitchMin ?? 0.1,         // ~6° minimum pitch
+    pitchMax: options.pitchMax ?? 1.2,         // ~69° maximum pitch
+    distance: options.distance ?? 8.0,         // Orbit distance at zoom 1
+    height: options.height ?? 2.5,             // Extra camera height at zoom 1
+    xOffsetScale: options.xOffsetScale ?? 0.55, // Squash of the sideways orbit offset
+    lookAhead: options.lookAhead ?? 2.0,       // Look target distance ahead of the player at zoom 1
+    lookAtHeight: options.lookAtHeight ?? 0.5, // Look target height above the player
+    autoRecenter: options.autoRecenter ?? false, // Drift behind the player after no orbit input
+    recenterDelay: options.recenterDelay ?? 1.5, // Seconds without orbit input before recentering
+    recenterSpeed: options.recenterSpeed ?? 2, // Recenter damping rate (1/sec)
+    orbitIdleTime: 0,                          // Seconds since the last manual orbit
+    time: 0,                                   // Scaled time for the idle roll (see setTimeScale)
+    occlusion: options.occlusion ?? null,      // Optional createCameraOcclusion() handler
+    effects: options.effects ?? null,          // Optional createCameraEffects() handler (shake, FOV kicks)
+    rig: options.rig ?? null,                  // Follow smoothing (createCameraRig), created on first update
+    rigOptions: options.rigOptions ?? {},      // Damping rates for the lazily created rig
   };
 }
 
@@ -39,11 +56,11 @@ export function createCameraState(options = {}) {
  */
 export function calculateCameraTransform(playerPos, cameraState) {
   const { orbitAngle, orbitPitch, zoom } = cameraState;
-  const baseDist = 8.0 * zoom;
+  const baseDist = (cameraState.distance ?? 8.0) * zoom;
 
   // Spherical coordinates: pitch affects Y and horizontal distance
   const horizontalDist = Math.cos(orbitPitch) * baseDist;
-  const verticalDist = Math.sin(orbitPitch) * baseDist + 2.5 * zoom;
+  const verticalDist = Math.sin(orbitPitch) * baseDist + (cameraState.height ?? 2.5) * zoom;
 
   // Camera orbits around player based on orbitAngle and pitch
   const camOffsetX = Math.sin(orbitAngle) * horizontalDist;
@@ -51,44 +68,171 @@ export function calculateCameraTransform(playerPos, cameraState) {
   const camOffsetY = verticalDist;
 
   const position = new THREE.Vector3(
-    playerPos.x + camOffsetX * 0.55,
+    playerPos.x + camOffsetX * (cameraState.xOffsetScale ?? 0.55),
     playerPos.y + camOffsetY,
     playerPos.z + camOffsetZ
   );
 
   // Look at player (slightly ahead in camera's forward direction)
-  const lookAheadDist = 2.0 * zoom;
+  const lookAheadDist = (cameraState.lookAhead ?? 2.0) * zoom;
   const lookAt = new THREE.Vector3(
     playerPos.x - Math.sin(orbitAngle) * lookAheadDist,
-    playerPos.y + 0.5,
+    playerPos.y + (cameraState.lookAtHeight ?? 0.5),
     playerPos.z + Math.cos(orbitAngle) * lookAheadDist
   );
 
   return { position, lookAt };
 }
 
-// Smoothed Y position for camera (reduces jitter from player bobbing)
-let smoothedPlayerY = 0;
+/**
+ * Exponential smoothing factor for a damping rate, independent of frame rate
+ * @param {number} rate - Damping rate (1/sec); Infinity = no smoothing
+ * @param {number} dt - Delta time in seconds
+ * @returns {number} Lerp factor (0-1)
+ */
+function damp(rate, dt) {
+  return rate === Infinity ? 1 : 1 - Math.exp(-rate * dt);
+}
 
 /**
- * Update camera position smoothly following player
+ * Create a camera rig that owns its follow smoothing, so several cameras
+ * (split-screen, minimaps, spectators) don't interfere with each other
+ * @param {Object} options - Damping rates in 1/sec (higher = snappier, Infinity = none)
+ * @param {number} options.positionDamping - Camera position (default 6.9, the original 0.001^dt)
+ * @param {number} options.lookAtDamping - Look target (default Infinity)
+ * @param {number} options.yDamping - Player height, softens hop bobbing (default 5)
+ * @param {boolean} options.snapOnFirstUpdate - Jump to the follow position on the first update
+ *   instead of easing in from where the camera is (default false)
+ * @returns {Object} Camera rig API
+ */
+export function createCameraRig(options = {}) {
+  let positionDamping = options.positionDamping ?? -Math.log(0.001);
+  let lookAtDamping = options.lookAtDamping ?? Infinity;
+  let yDamping = options.yDamping ?? 5;
+
+  const smoothedLookAt = new THREE.Vector3();
+  const pivot = new THREE.Vector3();
+  const smoothedPos = new THREE.Vector3();
+  let smoothedY = 0;
+  let needsSnap = options.snapOnFirstUpdate ?? false;
+  let primed = false; // Smoothed Y and look target start at the player, not the origin
+
+  /**
+   * Follow the player
+   * @param {THREE.Camera} camera - Three.js camera
+   * @param {THREE.Vector3} playerPos - Player position
+   * @param {Object} cameraState - Camera state object
+   * @param {number} dt - Delta time
+   * @param {number} timeScale - Multiplier for the roll animation (default: global getTimeScale())
+   */
+  function update(camera, playerPos, cameraState, dt, timeScale = getTimeScale()) {
+    // Take last frame's shake off before smoothing from the camera position
+    if (cameraState.effects) cameraState.effects.restore(camera);
+    if (needsSnap) {
+      snap(camera, playerPos, cameraState);
+    } else if (!primed) {
+      primed = true;
+      smoothedY = playerPos.y;
+      smoothedLookAt.copy(calculateCameraTransform(playerPos, cameraState).lookAt);
+    }
+    cameraState.time = (cameraState.time ?? 0) + dt * timeScale;
+
+    // Smooth out the player Y to reduce camera jitter from bobbing
+    smoothedY = THREE.MathUtils.lerp(smoothedY, playerPos.y, damp(yDamping, dt));
+    smoothedPos.set(playerPos.x, smoothedY, playerPos.z);
+    const { position, lookAt } = calculateCameraTransform(smoothedPos, cameraState);
+
+    camera.position.lerp(position, damp(positionDamping, dt));
+    smoothedLookAt.lerp(lookAt, damp(lookAtDamping, dt));
+
+    // Keep walls and floors between the player and the camera from hiding the player
+    if (cameraState.occlusion) {
+      pivot.set(playerPos.x, smoothedY + 0.5, playerPos.z);
+      cameraState.occlusion.apply(camera, pivot, dt, position);
+    }
+
+    camera.rotation.z = Math.sin(cameraState.time * 1.5 + playerPos.x) * 0.015;
+    camera.lookAt(smoothedLookAt.x, smoothedLookAt.y, smoothedLookAt.z);
+
+    if (cameraState.effects) cameraState.effects.apply(camera);
+  }
+
+  /**
+   * Jump straight to the follow position (teleports, respawns, camera cuts).
+   * Without a camera, the snap happens on the next update.
+   * @param {THREE.Camera} camera - Three.js camera (optional)
+   * @param {THREE.Vector3} playerPos - Player position (optional with no camera)
+   * @param {Object} cameraState - Camera state object (optional with no camera)
+   */
+  function snap(camera, playerPos, cameraState) {
+    if (!camera) {
+      needsSnap = true;
+      return;
+    }
+    needsSnap = false;
+    primed = true;
+    smoothedY = playerPos.y;
+    const { position, lookAt } = calculateCameraTransform(playerPos, cameraState);
+    camera.position.copy(position);
+    smoothedLookAt.copy(lookAt);
+    camera.lookAt(lookAt.x, lookAt.y, lookAt.z);
+    if (cameraState.occlusion) cameraState.occlusion.reset();
+  }
+
+  /**
+   * Change damping rates
+   * @param {Object} rates - { positionDamping, lookAtDamping, yDamping } (omitted keys unchanged)
+   */
+  function setDamping(rates) {
+    positionDamping = rates.positionDamping ?? positionDamping;
+    lookAtDamping = rates.lookAtDamping ?? lookAtDamping;
+    yDamping = rates.yDamping ?? yDamping;
+  }
+
+  /**
+   * Get the smoothed look target
+   * @returns {THREE.Vector3}
+   */
+  function getLookAt() {
+    return smoothedLookAt;
+  }
+
+  return {
+    update,
+    snap,
+    setDamping,
+    getLookAt,
+  };
+}
+
+/**
+ * Update camera position smoothly following player.
+ * Uses the camera state's own rig (created on first use from options.rig),
+ * so separate camera states never share smoothing.
  * @param {THREE.Camera} camera - Three.js camera
  * @param {THREE.Vector3} playerPos - Player position
  * @param {Object} cameraState - Camera state object
  * @param {number} dt - Delta time
+ * @param {number} timeScale - Multiplier for the roll animation (default: global getTimeScale())
+ */
+export function updateCamera(camera, playerPos, cameraState, dt, timeScale = getTimeScale()) {
+  if (!cameraState.rig) {
+    cameraState.rig = createCameraRig(cameraState.rigOptions);
+  }
+  cameraState.rig.update(camera, playerPos, cameraState, dt, timeScale);
+}
+
+/**
+ * Snap a camera state's rig to the player (after broadcastTeleportResponse or respawn)
+ * @param {THREE.Camera} camera - Three.js camera
+ * @param {THREE.Vector3} playerPos - Player position
+ * @param {Object} cameraState - Camera state object
  */
-export function updateCamera(camera, playerPos, cameraState, dt) {
-  // Smooth out the player Y to reduce camera jitter from bobbing
-  // Use a slower lerp for Y to dampen the hop animation
-  smoothedPlayerY = THREE.MathUtils.lerp(smoothedPlayerY, playerPos.y, 0.08);
-
-  // Create a smoothed position for camera calculations
-  const smoothedPos = new THREE.Vector3(playerPos.x, smoothedPlayerY, playerPos.z);
-  const { position, lookAt } = calculateCameraTransform(smoothedPos, cameraState);
-
-  camera.position.lerp(position, 1 - Math.pow(0.001, dt));
-  camera.rotation.z = Math.sin(performance.now() * 0.0015 + playerPos.x) * 0.015;
-  camera.lookAt(lookAt.x, lookAt.y, lookAt.z);
+export function snapCamera(camera, playerPos, cameraState) {
+  if (!cameraState.rig) {
+    cameraState.rig = createCameraRig(cameraState.rigOptions);
+  }
+  cameraState.rig.snap(camera, playerPos, cameraState);
 }
 
 /**
@@ -101,8 +245,31 @@ export function applyOrbit(cameraState, deltaAngle, deltaPitch) {
   cameraState.orbitAngle = normalizeAngle(cameraState.orbitAngle + deltaAngle);
   cameraState.orbitPitch = THREE.MathUtils.clamp(
     cameraState.orbitPitch + deltaPitch,
-    0.1,  // ~6° minimum
-    1.2   // ~69° maximum
+    cameraState.pitchMin ?? 0.1,
+    cameraState.pitchMax ?? 1.2
+  );
+  if (deltaAngle !== 0 || deltaPitch !== 0) {
+    cameraState.orbitIdleTime = 0;
+  }
+}
+
+/**
+ * Drift the orbit angle behind the player after a period with no manual
+ * orbit input (cameraState.autoRecenter). Call once per frame before updateCamera.
+ * @param {Object} cameraState - Camera state object
+ * @param {Object} movementState - Movement state (uses rotation and isMoving)
+ * @param {number} dt - Delta time in seconds
+ */
+export function updateAutoRecenter(cameraState, movementState, dt) {
+  if (!cameraState.autoRecenter) return;
+  cameraState.orbitIdleTime = (cameraState.orbitIdleTime ?? 0) + dt;
+  if (cameraState.orbitIdleTime < cameraState.recenterDelay || !movementState.isMoving) return;
+
+  // Orbit angle a looks along (-sin a, cos a); the player faces (sin r, cos r)
+  const behind = normalizeAngle(-movementState.rotation);
+  const diff = normalizeAngle(behind - cameraState.orbitAngle);
+  cameraState.orbitAngle = normalizeAngle(
+    cameraState.orbitAngle + diff * damp(cameraState.recenterSpeed, dt)
   );
 }
 
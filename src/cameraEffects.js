@@ -0,0 +1,291 @@
+import * as THREE from "three";
+
+/**
+ * Camera effects: trauma-based shake, FOV punches and zoom pulses.
+ * Additive on top of the follow camera and the first-person camera: attach
+ * the handler to either state and it is applied after the camera is placed.
+ *
+ *   const effects = createCameraEffects();
+ *   cameraState.effects = effects;       // updateCamera
+ *   fpState.effects = effects;           // updateFirstPersonCamera
+ *
+ *   // Once per frame, before the camera updates:
+ *   effects.update(dt);
+ *
+ *   effects.addTrauma(0.4);              // Hit, explosion, hard landing
+ *   effects.setFovBoost(sprinting ? 8 : 0);
+ *   effects.punchFov(6);                 // Landing
+ *   effects.pulseZoom();                 // Coin pickup
+ *
+ * Effects run in real time (unaffected by setTimeScale), like camera following.
+ * With reduced motion on, the camera is left exactly as the follow camera put it.
+ *
+ * Anything that moves the camera after the follow camera (a cinematic
+ * sequencer) must call restore() before and apply() after, and change the
+ * FOV through setBaseFov(): createCameraSequencer({ effects }) does this.
+ */
+
+const CHANNELS = 6; // Translation x/y/z, rotation pitch/yaw/roll
+
+// Scratch objects (avoid per-frame allocations)
+const _offset = new THREE.Vector3();
+
+/**
+ * Gradient (Perlin) noise lattice value in [-1, 1]
+ */
+function gradient(i) {
+  let h = Math.imul(i ^ 0x27d4eb2d, 0x85ebca6b);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 13;
+  return ((h >>> 0) / 4294967296) * 2 - 1;
+}
+
+/**
+ * 1D Perlin noise, roughly in [-1, 1]
+ * @param {number} x - Sample position
+ * @param {number} channel - Independent noise stream
+ */
+function perlin(x, channel) {
+  const i = Math.floor(x);
+  const f = x - i;
+  const seed = channel * 1013;
+  const a = gradient(i + seed) * f;
+  const b = gradient(i + 1 + seed) * (f - 1);
+  const u = f * f * f * (f * (f * 6 - 15) + 10);
+  return (a + (b - a) * u) * 2;
+}
+
+function prefersReducedMotion() {
+  if (typeof window === "undefined" || typeof window.matchMedia !== "function") return false;
+  return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+/**
+ * Create a camera effects handler
+ * @param {Object} options - Configuration
+ * @param {number} options.maxTranslation - Shake offset at full trauma, in world units (default 0.35)
+ * @param {number} options.maxRotation - Shake angle at full trauma, in radians (default 0.05)
+ * @param {number} options.frequency - Noise samples per second (default 18)
+ * @param {number} options.traumaDecay - Trauma lost per second (default 1.2)
+ * @param {number} options.traumaExponent - Shake = trauma^exponent (default 2)
+ * @param {number} options.fovBoostDamping - Damping rate toward setFovBoost() in 1/sec (default 6)
+ * @param {number} options.baseFov - FOV without effects (default: camera FOV on first apply)
+ * @param {boolean} options.reducedMotion - Disable all effects (default: prefers-reduced-motion)
+ * @returns {Object} Camera effects API
+ */
+export function createCameraEffects(options = {}) {
+  const maxTranslation = options.maxTranslation ?? 0.35;
+  const maxRotation = options.maxRotation ?? 0.05;
+  const frequency = options.frequency ?? 18;
+  const traumaDecay = options.traumaDecay ?? 1.2;
+  const traumaExponent = options.traumaExponent ?? 2;
+  const fovBoostDamping = options.fovBoostDamping ?? 6;
+
+  let reducedMotion = options.reducedMotion ?? prefersReducedMotion();
+  let baseFov = options.baseFov ?? null;
+  let trauma = 0;
+  let time = 0;
+  let fovBoost = 0;
+  let fovBoostTarget = 0;
+  const punches = []; // { amount, duration, t }
+  const pulses = [];  // { amount, duration, t }
+  const shake = new Float32Array(CHANNELS);
+
+  // What the last apply() wrote, so restore() can take it back off
+  const appliedPosition = new THREE.Vector3();
+  const appliedOffset = new THREE.Vector3();
+  let appliedCamera = null;
+
+  /**
+   * Add trauma (clamped to 0-1). Shake grows with trauma squared, so small
+   * hits barely register and big ones stack up.
+   * @param {number} amount - Trauma to add (e.g. 0.2 bump, 0.5 landing, 1 explosion)
+   */
+  function addTrauma(amount) {
+    trauma = THREE.MathUtils.clamp(trauma + amount, 0, 1);
+  }
+
+  /**
+   * Get current trauma
+   * @returns {number} 0-1
+   */
+  function getTrauma() {
+    return trauma;
+  }
+
+  /**
+   * Set a sustained FOV increase that the camera eases toward (sprint)
+   * @param {number} degrees - Extra FOV, 0 to ease back
+   */
+  function setFovBoost(degrees) {
+    fovBoostTarget = degrees;
+  }
+
+  /**
+   * Kick the FOV out and let it settle back (landing, dash)
+   * @param {number} degrees - Peak extra FOV (negative narrows, default 6)
+   * @param {number} duration - Seconds until fully settled (default 0.35)
+   */
+  function punchFov(degrees = 6, duration = 0.35) {
+    punches.push({ amount: degrees, duration, t: 0 });
+  }
+
+  /**
+   * Smoothly zoom in and back out (coin pickups)
+   * @param {number} amount - Peak FOV reduction as a fraction (default 0.06)
+   * @param {number} duration - Seconds for the full pulse (default 0.4)
+   */
+  function pulseZoom(amount = 0.06, duration = 0.4) {
+    pulses.push({ amount, duration, t: 0 });
+  }
+
+  function advance(list, dt) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      list[i].t += dt;
+      if (list[i].t >= list[i].duration) list.splice(i, 1);
+    }
+  }
+
+  /**
+   * Advance trauma, noise and FOV envelopes. Call once per frame.
+   * @param {number} dt - Delta time in seconds
+   */
+  function update(dt) {
+    time += dt;
+    trauma = Math.max(0, trauma - traumaDecay * dt);
+    fovBoost += (fovBoostTarget - fovBoost) * (1 - Math.exp(-fovBoostDamping * dt));
+    advance(punches, dt);
+    advance(pulses, dt);
+
+    const amount = Math.pow(trauma, traumaExponent);
+    for (let c = 0; c < CHANNELS; c++) {
+      shake[c] = amount > 0 ? amount * perlin(time * frequency, c) : 0;
+    }
+  }
+
+  /**
+   * Apply boosts, punches and pulses to a base FOV
+   * @param {number} fov - Base FOV in degrees
+   * @returns {number} FOV with effects
+   */
+  function effectFov(fov) {
+    fov += fovBoost;
+    for (const p of punches) {
+      // Fast attack, eased release
+      const u = p.t / p.duration;
+      const envelope = u < 0.15 ? u / 0.15 : 1 - THREE.MathUtils.smoothstep(u, 0.15, 1);
+      fov += p.amount * envelope;
+    }
+    for (const p of pulses) {
+      const s = Math.sin(Math.PI * (p.t / p.duration));
+      fov *= 1 - p.amount * s * s;
+    }
+    return fov;
+  }
+
+  /**
+   * Take the last frame's shake offset back off the camera, so follow
+   * smoothing doesn't accumulate it. Skipped if something moved the camera
+   * since without restoring first (the offset can no longer be separated).
+   * @param {THREE.Camera} camera - Camera passed to apply()
+   */
+  function restore(camera) {
+    if (camera !== appliedCamera) return;
+    if (camera.position.equals(appliedPosition)) {
+      camera.position.sub(appliedOffset);
+    }
+    appliedCamera = null;
+  }
+
+  /**
+   * Apply effects after the camera has been placed and oriented
+   * @param {THREE.Camera} camera - Three.js camera
+   */
+  function apply(camera) {
+    if (camera.isPerspectiveCamera) {
+      if (baseFov === null) baseFov = camera.fov;
+      const fov = reducedMotion ? baseFov : effectFov(baseFov);
+      if (fov !== camera.fov) {
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+      }
+    }
+
+    if (reducedMotion || trauma <= 0) return;
+
+    // Translation in camera space, so shake reads the same from any angle
+    _offset.set(shake[0], shake[1], shake[2]).multiplyScalar(maxTranslation);
+    _offset.applyQuaternion(camera.quaternion);
+    camera.position.add(_offset);
+
+    camera.rotateX(shake[3] * maxRotation);
+    camera.rotateY(shake[4] * maxRotation);
+    camera.rotateZ(shake[5] * maxRotation);
+
+    appliedCamera = camera;
+    appliedOffset.copy(_offset);
+    appliedPosition.copy(camera.position);
+  }
+
+  /**
+   * Enable or disable reduced motion (disables shake, punches and pulses)
+   * @param {boolean} enabled
+   */
+  function setReducedMotion(enabled) {
+    reducedMotion = !!enabled;
+  }
+
+  /**
+   * Check if reduced motion is on
+   * @returns {boolean}
+   */
+  function isReducedMotion() {
+    return reducedMotion;
+  }
+
+  /**
+   * Set the FOV without effects. The handler owns camera.fov once applied,
+   * so change the base here rather than on the camera.
+   * @param {number} fov - Degrees
+   */
+  function setBaseFov(fov) {
+    baseFov = fov;
+  }
+
+  /**
+   * Get the FOV without effects
+   * @returns {number|null} Degrees, or null before the first apply() without options.baseFov
+   */
+  function getBaseFov() {
+    return baseFov;
+  }
+
+  /**
+   * Clear trauma and all FOV effects
+   */
+  function reset() {
+    trauma = 0;
+    fovBoost = 0;
+    fovBoostTarget = 0;
+    punches.length = 0;
+    pulses.length = 0;
+    shake.fill(0);
+  }
+
+  return {
+    addTrauma,
+    getTrauma,
+    setFovBoost,
+    punchFov,
+    pulseZoom,
+    update,
+    apply,
+    restore,
+    setReducedMotion,
+    isReducedMotion,
+    setBaseFov,
+    getBaseFov,
+    reset,
+  };
+}
@@ -0,0 +1,197 @@
+import * as THREE from "three";
+
+/**
+ * Camera occlusion for the third-person camera.
+ * Raycasts from the player (pivot) to the camera against registered occluders
+ * (createHouse, createTower, terrain meshes). Occluders either pull the camera
+ * in front of them or fade out while they block the view.
+ *
+ * Attach to a camera state and updateCamera applies it after following:
+ *   cameraState.occlusion = createCameraOcclusion();
+ *   cameraState.occlusion.add(house);
+ *   cameraState.occlusion.add(tree, { mode: "fade" });
+ */
+
+// Scratch objects (avoid per-frame allocations)
+const _dir = new THREE.Vector3();
+const _camDir = new THREE.Vector3();
+
+/**
+ * Create a camera occlusion handler
+ * @param {Object} options - Configuration
+ * @param {string} options.mode - Default occluder mode: "pull" (move camera in) or "fade" (default "pull")
+ * @param {number} options.margin - Distance kept in front of a hit surface (default 0.3)
+ * @param {number} options.minDistance - Closest the camera gets to the pivot (default 0.8)
+ * @param {number} options.pullInSpeed - Damping rate moving in (default 25, near-instant)
+ * @param {number} options.easeOutSpeed - Damping rate moving back out (default 3)
+ * @param {number} options.fadeOpacity - Opacity of faded occluders (default 0.25)
+ * @param {number} options.fadeSpeed - Fade rate in opacity per second (default 6)
+ * @returns {Object} Camera occlusion API
+ */
+export function createCameraOcclusion(options = {}) {
+  const defaultMode = options.mode ?? "pull";
+  const margin = options.margin ?? 0.3;
+  const minDistance = options.minDistance ?? 0.8;
+  const pullInSpeed = options.pullInSpeed ?? 25;
+  const easeOutSpeed = options.easeOutSpeed ?? 3;
+  const fadeOpacity = options.fadeOpacity ?? 0.25;
+  const fadeSpeed = options.fadeSpeed ?? 6;
+
+  const raycaster = new THREE.Raycaster();
+  const occluders = new Map(); // object -> { mode }
+  const pullTargets = [];
+  const fadeTargets = [];
+  const faded = new Map(); // mesh -> { original, material, opacity, target }
+
+  let distance = null; // Smoothed camera distance from the pivot
+  let occluded = false;
+
+  function rebuildTargets() {
+    pullTargets.length = 0;
+    fadeTargets.length = 0;
+    for (const [object, entry] of occluders) {
+      (entry.mode === "fade" ? fadeTargets : pullTargets).push(object);
+    }
+  }
+
+  /**
+   * Register an occluder
+   * @param {THREE.Object3D} object - Mesh or group (children are tested)
+   * @param {Object} opts - { mode = options.mode } - "pull" or "fade"
+   */
+  function add(object, opts = {}) {
+    occluders.set(object, { mode: opts.mode ?? defaultMode });
+    rebuildTargets();
+  }
+
+  /**
+   * Unregister an occluder (restores it if faded)
+   * @param {THREE.Object3D} object - Object passed to add()
+   */
+  function remove(object) {
+    if (!occluders.delete(object)) return;
+    object.traverse((child) => restoreMesh(child));
+    rebuildTargets();
+  }
+
+  /**
+   * Remove all occluders and restore faded meshes
+   */
+  function clear() {
+    for (const mesh of [...faded.keys()]) restoreMesh(mesh);
+    occluders.clear();
+    rebuildTargets();
+  }
+
+  function restoreMesh(mesh) {
+    const entry = faded.get(mesh);
+    if (!entry) return;
+    mesh.material = entry.original;
+    entry.material.dispose();
+    faded.delete(mesh);
+  }
+
+  /**
+   * Swap in a transparent clone so shared materials (other houses) don't fade too
+   */
+  function fadeMesh(mesh) {
+    let entry = faded.get(mesh);
+    if (!entry) {
+      if (Array.isArray(mesh.material)) return; // Multi-material meshes are left alone
+      const material = mesh.material.clone();
+      material.transparent = true;
+      entry = { original: mesh.material, material, opacity: mesh.material.opacity };
+      mesh.material = material;
+      faded.set(mesh, entry);
+    }
+    entry.target = fadeOpacity;
+  }
+
+  function updateFades(dt) {
+    for (const [mesh, entry] of faded) {
+      const goal = entry.target ?? entry.original.opacity;
+      const step = fadeSpeed * dt;
+      entry.opacity += THREE.MathUtils.clamp(goal - entry.opacity, -step, step);
+      entry.material.opacity = entry.opacity;
+      entry.target = null; // Must be re-hit next frame to stay faded
+
+      if (goal === entry.original.opacity && Math.abs(entry.opacity - goal) < 1e-3) {
+        restoreMesh(mesh);
+      }
+    }
+  }
+
+  /**
+   * Resolve occlusion after the camera has been moved toward its follow position.
+   * The camera is pulled toward the pivot if it is farther out than the
+   * (smoothed) unobstructed distance.
+   * @param {THREE.Camera} camera - Camera (position is adjusted in place)
+   * @param {THREE.Vector3} pivot - Point the camera looks around (e.g. player position + 0.5)
+   * @param {number} dt - Delta time in seconds
+   * @param {THREE.Vector3} desiredPosition - Unsmoothed follow position (default camera.position)
+   * @returns {boolean} Whether a "pull" occluder is between pivot and the desired position
+   */
+  function apply(camera, pivot, dt, desiredPosition = camera.position) {
+    _dir.subVectors(desiredPosition, pivot);
+    const desired = _dir.length();
+    if (desired < 1e-6) return false;
+    _dir.divideScalar(desired);
+
+    raycaster.set(pivot, _dir);
+    raycaster.near = 0;
+    raycaster.far = desired;
+
+    // Fade occluders: every mesh on the line fades
+    if (fadeTargets.length > 0) {
+      for (const hit of raycaster.intersectObjects(fadeTargets, true)) {
+        if (hit.object.isMesh) fadeMesh(hit.object);
+      }
+    }
+    updateFades(dt);
+
+    // Pull occluders: the nearest hit limits the distance
+    let limit = desired;
+    if (pullTargets.length > 0) {
+      const hits = raycaster.intersectObjects(pullTargets, true);
+      if (hits.length > 0) limit = Math.max(minDistance, hits[0].distance - margin);
+    }
+    occluded = limit < desired;
+
+    if (distance === null) distance = limit;
+    const rate = limit < distance ? pullInSpeed : easeOutSpeed;
+    distance = THREE.MathUtils.lerp(distance, limit, 1 - Math.exp(-rate * dt));
+    // Never sit behind the hit surface, even mid-smoothing
+    distance = Math.min(distance, occluded ? limit + margin * 0.5 : desired);
+
+    _camDir.subVectors(camera.position, pivot);
+    const current = _camDir.length();
+    if (current > distance && current > 1e-6) {
+      camera.position.copy(pivot).addScaledVector(_camDir, distance / current);
+    }
+    return occluded;
+  }
+
+  /**
+   * Check if the last apply() found a "pull" occluder
+   * @returns {boolean}
+   */
+  function isOccluded() {
+    return occluded;
+  }
+
+  /**
+   * Forget the smoothed distance (after teleports or camera cuts)
+   */
+  function reset() {
+    distance = null;
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    apply,
+    isOccluded,
+    reset,
+  };
+}
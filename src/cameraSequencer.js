@@ -0,0 +1,356 @@
+import * as THREE from "three";
+
+/**
+ * Cinematic camera sequencer for world intros, portal transitions and
+ * Pochi platform reveals. Plays a list of shots, blending in from and back
+ * out to the normal follow camera.
+ *
+ * Sequence format (JSON-safe, so the shell can author it):
+ *   {
+ *     blendIn: 0.6,             // Seconds to blend from the follow camera
+ *     blendOut: 0.8,            // Seconds to blend back to the follow camera
+ *     shots: [
+ *       {
+ *         position: [[x, y, z], ...],  // 1 point = static, 2 = straight move, 3+ = Catmull-Rom spline
+ *         lookAt: [x, y, z],           // Point or list of points, same rules
+ *         fov: 50,                     // Optional number or list of values across the shot
+ *         duration: 3,                 // Seconds of movement
+ *         hold: 1,                     // Seconds to hold the final frame
+ *         easing: "easeInOut"          // Name from Easings
+ *       }
+ *     ]
+ *   }
+ *
+ * Per frame, after the follow camera:
+ *   updateCamera(camera, playerPos, cameraState, dt);
+ *   sequencer.update(camera, dt);
+ *
+ * With camera effects on the follow camera, pass the same handler as
+ * options.effects: the sequencer then takes the shake off before placing
+ * the camera, puts it back after, and hands its FOV to effects.setBaseFov()
+ * so FOV punches stack on the shot's FOV instead of overwriting it.
+ */
+
+/**
+ * Easing functions by name (t in 0-1)
+ */
+export const Easings = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  smoothstep: (t) => t * t * (3 - 2 * t),
+};
+
+// Scratch objects (avoid per-frame allocations)
+const _followDir = new THREE.Vector3();
+const _followLookAt = new THREE.Vector3();
+const _shotPos = new THREE.Vector3();
+const _shotLookAt = new THREE.Vector3();
+
+function readPoint(value, field) {
+  if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) {
+    return new THREE.Vector3(value[0], value[1], value[2]);
+  }
+  if (value && [value.x, value.y, value.z].every(Number.isFinite)) {
+    return new THREE.Vector3(value.x, value.y, value.z);
+  }
+  throw new Error(`Invalid camera sequence: ${field}`);
+}
+
+/**
+ * Read a point or list of points into a curve-like { getPoint(u, target) }
+ */
+function readPath(value, field) {
+  const isList = Array.isArray(value) && value.length > 0 && typeof value[0] === "object";
+  const points = isList ? value.map((p, i) => readPoint(p, `${field}[${i}]`)) : [readPoint(value, field)];
+
+  if (points.length === 1) {
+    return { getPoint: (u, target) => target.copy(points[0]) };
+  }
+  if (points.length === 2) {
+    return new THREE.LineCurve3(points[0], points[1]);
+  }
+  return new THREE.CatmullRomCurve3(points, false, "centripetal");
+}
+
+function readFov(value, field) {
+  if (value === undefined || value === null) return null;
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || !values.every((v) => Number.isFinite(v) && v > 0 && v < 180)) {
+    throw new Error(`Invalid camera sequence: ${field}`);
+  }
+  return values;
+}
+
+function sampleFov(values, u) {
+  if (values.length === 1) return values[0];
+  const x = u * (values.length - 1);
+  const i = Math.min(Math.floor(x), values.length - 2);
+  return THREE.MathUtils.lerp(values[i], values[i + 1], x - i);
+}
+
+/**
+ * Validate and parse a sequence (object or JSON string)
+ * @param {Object|string} data - Sequence definition
+ * @returns {Object} Parsed sequence { blendIn, blendOut, shots, duration }
+ * @throws {Error} If the sequence is malformed
+ */
+export function parseCameraSequence(data) {
+  let seq = data;
+  if (typeof data === "string") {
+    try {
+      seq = JSON.parse(data);
+    } catch (e) {
+      throw new Error("Invalid camera sequence: not JSON");
+    }
+  }
+  if (!seq || !Array.isArray(seq.shots) || seq.shots.length === 0) {
+    throw new Error("Invalid camera sequence: shots");
+  }
+
+  const shots = seq.shots.map((shot, i) => {
+    const field = `shots[${i}]`;
+    const duration = shot.duration ?? 0;
+    const hold = shot.hold ?? 0;
+    if (!Number.isFinite(duration) || duration < 0 || !Number.isFinite(hold) || hold < 0) {
+      throw new Error(`Invalid camera sequence: ${field}.duration`);
+    }
+    const easing = shot.easing ?? "easeInOut";
+    if (!Easings[easing]) {
+      throw new Error(`Invalid camera sequence: ${field}.easing "${easing}"`);
+    }
+    return {
+      position: readPath(shot.position, `${field}.position`),
+      lookAt: readPath(shot.lookAt, `${field}.lookAt`),
+      fov: readFov(shot.fov, `${field}.fov`),
+      duration,
+      hold,
+      easing: Easings[easing],
+      data: shot.data ?? null,
+    };
+  });
+
+  const blendIn = seq.blendIn ?? 0.6;
+  const blendOut = seq.blendOut ?? 0.8;
+  if (!Number.isFinite(blendIn) || blendIn < 0 || !Number.isFinite(blendOut) || blendOut < 0) {
+    throw new Error("Invalid camera sequence: blendIn/blendOut");
+  }
+
+  return {
+    blendIn,
+    blendOut,
+    shots,
+    duration: shots.reduce((sum, s) => sum + s.duration + s.hold, 0),
+  };
+}
+
+/**
+ * Create a camera sequencer
+ * @param {Object} options - { onComplete, onShot, effects }
+ *   onComplete: Function(sequence) after blending back to the follow camera (not called on stop())
+ *   onShot: Function(index, shot) when each shot starts
+ *   effects: createCameraEffects() handler used by the follow camera (see module docs)
+ * @returns {Object} Sequencer API
+ */
+export function createCameraSequencer(options = {}) {
+  let onComplete = options.onComplete || null;
+  let onShot = options.onShot || null;
+  const effects = options.effects ?? null;
+
+  let sequence = null;
+  let callbacks = {};
+  let phase = "idle"; // idle | playing | blendOut
+  let time = 0;       // Time since play() (shot timeline)
+  let blendTime = 0;  // Time since blend-out started
+  let shotIndex = -1;
+  let baseFov = null;
+  let lastFov = null;
+  let restorePending = false; // FOV to restore after an immediate stop()
+  const lastPos = new THREE.Vector3();
+  const lastLookAt = new THREE.Vector3();
+
+  /**
+   * Start a sequence (replaces any sequence already playing)
+   * @param {Object|string} data - Sequence definition (see module docs)
+   * @param {Object} opts - { onComplete, onShot } - per-play callbacks, called after the sequencer's own
+   * @returns {Object} Parsed sequence
+   */
+  function play(data, opts = {}) {
+    sequence = parseCameraSequence(data);
+    callbacks = opts;
+    phase = "playing";
+    time = 0;
+    blendTime = 0;
+    shotIndex = -1;
+    restorePending = false;
+    return sequence;
+  }
+
+  /**
+   * Stop immediately, or blend back to the follow camera.
+   * An immediate stop restores the FOV on the next update().
+   * @param {Object} opts - { blend = false }
+   */
+  function stop(opts = {}) {
+    if (phase === "idle") return;
+    if (opts.blend) {
+      phase = "blendOut";
+      blendTime = 0;
+      return;
+    }
+    phase = "idle";
+    sequence = null;
+    restorePending = true;
+  }
+
+  /**
+   * Evaluate the shot timeline at a time
+   * @returns {Object} { index, shot, u } and writes _shotPos/_shotLookAt
+   */
+  function evaluate(t) {
+    let start = 0;
+    for (let i = 0; i < sequence.shots.length; i++) {
+      const shot = sequence.shots[i];
+      const length = shot.duration + shot.hold;
+      if (t < start + length || i === sequence.shots.length - 1) {
+        const local = Math.min(t - start, length);
+        const u = shot.duration > 0 ? shot.easing(Math.min(1, local / shot.duration)) : 1;
+        shot.position.getPoint(u, _shotPos);
+        shot.lookAt.getPoint(u, _shotLookAt);
+        return { index: i, shot, u };
+      }
+      start += length;
+    }
+  }
+
+  function setFov(camera, fov) {
+    if (effects) effects.setBaseFov(fov);
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+  }
+
+  function restoreFov(camera) {
+    if (baseFov !== null && camera.isPerspectiveCamera) setFov(camera, baseFov);
+    baseFov = null;
+    restorePending = false;
+  }
+
+  /**
+   * Apply the sequence on top of the follow camera. Call after updateCamera.
+   * @param {THREE.Camera} camera - Camera already placed by the follow camera this frame
+   * @param {number} dt - Delta time in seconds (real time, unaffected by the time scale)
+   * @returns {boolean} Whether the sequencer controlled the camera this frame
+   */
+  function update(camera, dt) {
+    if (phase === "idle") {
+      if (restorePending) restoreFov(camera);
+      return false;
+    }
+
+    // Place the shot from the unshaken follow camera
+    if (effects) effects.restore(camera);
+    if (baseFov === null) baseFov = (effects && effects.getBaseFov()) ?? camera.fov ?? null;
+
+    // Follow camera's look target, reconstructed from its orientation
+    camera.getWorldDirection(_followDir);
+    _followLookAt.copy(camera.position).addScaledVector(_followDir, 10);
+
+    let weight;
+    let fov = null;
+
+    if (phase === "playing") {
+      time += dt;
+      const result = evaluate(time);
+      if (result.index !== shotIndex) {
+        shotIndex = result.index;
+        if (onShot) onShot(shotIndex, result.shot);
+        if (callbacks.onShot) callbacks.onShot(shotIndex, result.shot);
+      }
+      if (result.shot.fov) fov = sampleFov(result.shot.fov, result.u);
+
+      lastPos.copy(_shotPos);
+      lastLookAt.copy(_shotLookAt);
+      lastFov = fov;
+
+      weight = sequence.blendIn > 0 ? Easings.smoothstep(Math.min(1, time / sequence.blendIn)) : 1;
+      if (time >= sequence.duration) {
+        phase = "blendOut";
+        blendTime = 0;
+      }
+    } else {
+      // Blend from the final frame back to the follow camera
+      blendTime += dt;
+      const u = sequence.blendOut > 0 ? Math.min(1, blendTime / sequence.blendOut) : 1;
+      weight = 1 - Easings.smoothstep(u);
+      _shotPos.copy(lastPos);
+      _shotLookAt.copy(lastLookAt);
+      fov = lastFov;
+
+      if (u >= 1) {
+        const finished = sequence;
+        phase = "idle";
+        sequence = null;
+        restoreFov(camera);
+        if (onComplete) onComplete(finished);
+        if (callbacks.onComplete) callbacks.onComplete(finished);
+        return false;
+      }
+    }
+
+    camera.position.lerp(_shotPos, weight);
+    _followLookAt.lerp(_shotLookAt, weight);
+    camera.lookAt(_followLookAt);
+
+    if (baseFov !== null && camera.isPerspectiveCamera) {
+      setFov(camera, THREE.MathUtils.lerp(baseFov, fov ?? baseFov, weight));
+    }
+    if (effects) effects.apply(camera);
+    return true;
+  }
+
+  /**
+   * Check if a sequence is playing or blending out
+   * @returns {boolean}
+   */
+  function isPlaying() {
+    return phase !== "idle";
+  }
+
+  /**
+   * Get time into the current sequence
+   * @returns {number} Seconds
+   */
+  function getTime() {
+    return time;
+  }
+
+  /**
+   * Set the completion callback
+   * @param {Function} callback - Function(sequence)
+   */
+  function setOnComplete(callback) {
+    onComplete = callback;
+  }
+
+  /**
+   * Set the shot-start callback
+   * @param {Function} callback - Function(index, shot)
+   */
+  function setOnShot(callback) {
+    onShot = callback;
+  }
+
+  return {
+    play,
+    stop,
+    update,
+    isPlaying,
+    getTime,
+    setOnComplete,
+    setOnShot,
+  };
+}
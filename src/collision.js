@@ -0,0 +1,387 @@
+import * as THREE from "three";
+import { TILE } from "./constants";
+
+/**
+ * Collision world for updateMovement's checkCollision callback.
+ * Axis-aligned boxes and circles on the XZ plane (with optional vertical
+ * extent), stored in a uniform spatial hash so thousands of fences, trees
+ * and houses stay cheap to query.
+ *
+ * Low colliders (curbs, crates, steps) are stepped onto rather than blocking:
+ * pair createCollisionCallback with createGroundHeightCallback so their tops
+ * become ground.
+ */
+
+// Scratch box for addObject
+const _box = new THREE.Box3();
+
+/**
+ * Create a collision world
+ * @param {Object} options - { cellSize = 4 * TILE, playerRadius = 0.35, stepHeight = 0.3 }
+ *   stepHeight: colliders whose top is within this of the player's feet don't block; the
+ *   ground callback lifts the player onto them
+ * @returns {Object} Collision world API
+ */
+export function createCollisionWorld(options = {}) {
+  const cellSize = options.cellSize ?? 4 * TILE;
+  const defaultRadius = options.playerRadius ?? 0.35;
+  const stepHeight = options.stepHeight ?? 0.3;
+
+  const colliders = new Map(); // id -> collider
+  const cells = new Map();     // "cx,cz" -> Set of ids
+  let nextId = 1;
+  let queryStamp = 0;          // Dedupes colliders spanning several cells
+
+  function cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  function cellRange(minX, minZ, maxX, maxZ) {
+    return {
+      x0: Math.floor(minX / cellSize),
+      z0: Math.floor(minZ / cellSize),
+      x1: Math.floor(maxX / cellSize),
+      z1: Math.floor(maxZ / cellSize),
+    };
+  }
+
+  function bounds(c) {
+    if (c.type === "circle") {
+      return { minX: c.x - c.radius, minZ: c.z - c.radius, maxX: c.x + c.radius, maxZ: c.z + c.radius };
+    }
+    return c;
+  }
+
+  function insert(c) {
+    const b = bounds(c);
+    const r = cellRange(b.minX, b.minZ, b.maxX, b.maxZ);
+    for (let cx = r.x0; cx <= r.x1; cx++) {
+      for (let cz = r.z0; cz <= r.z1; cz++) {
+        const key = cellKey(cx, cz);
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(c.id);
+      }
+    }
+  }
+
+  function unindex(c) {
+    const b = bounds(c);
+    const r = cellRange(b.minX, b.minZ, b.maxX, b.maxZ);
+    for (let cx = r.x0; cx <= r.x1; cx++) {
+      for (let cz = r.z0; cz <= r.z1; cz++) {
+        const key = cellKey(cx, cz);
+        const set = cells.get(key);
+        if (!set) continue;
+        set.delete(c.id);
+        if (set.size === 0) cells.delete(key);
+      }
+    }
+  }
+
+  function add(collider, opts) {
+    const c = {
+      id: nextId++,
+      ...collider,
+      minY: opts.minY ?? -Infinity,
+      maxY: opts.maxY ?? Infinity,
+      data: opts.data ?? null,
+    };
+    colliders.set(c.id, c);
+    insert(c);
+    return c.id;
+  }
+
+  /**
+   * Register an axis-aligned box
+   * @param {number} minX - Min X
+   * @param {number} minZ - Min Z
+   * @param {number} maxX - Max X
+   * @param {number} maxZ - Max Z
+   * @param {Object} opts - { minY, maxY, data } - vertical extent (default infinite) and user data
+   * @returns {number} Collider id
+   */
+  function addBox(minX, minZ, maxX, maxZ, opts = {}) {
+    return add({
+      type: "box",
+      minX: Math.min(minX, maxX),
+      minZ: Math.min(minZ, maxZ),
+      maxX: Math.max(minX, maxX),
+      maxZ: Math.max(minZ, maxZ),
+    }, opts);
+  }
+
+  /**
+   * Register a circle (tree trunks, posts, rocks)
+   * @param {number} x - Center X
+   * @param {number} z - Center Z
+   * @param {number} radius - Radius
+   * @param {Object} opts - { minY, maxY, data }
+   * @returns {number} Collider id
+   */
+  function addCircle(x, z, radius, opts = {}) {
+    return add({ type: "circle", x, z, radius }, opts);
+  }
+
+  /**
+   * Register a collider derived from an Object3D's world-space bounds
+   * (createHouse, createFence, createTower groups...)
+   * @param {THREE.Object3D} object - Object (its world matrix is updated first)
+   * @param {Object} opts - { shape = "box", padding = 0, data }
+   *   shape: "box" uses the XZ bounds, "circle" the largest inscribed radius
+   *   padding: grow (positive) or shrink (negative) the shape, e.g. -0.15 to ignore roof overhang
+   * @returns {number|null} Collider id, or null if the object has no geometry (nothing added;
+   *   remove(null) is a no-op)
+   */
+  function addObject(object, opts = {}) {
+    const padding = opts.padding ?? 0;
+    object.updateWorldMatrix(true, true);
+    _box.setFromObject(object);
+    if (_box.isEmpty()) return null;
+
+    const extra = { minY: _box.min.y, maxY: _box.max.y, data: opts.data ?? object };
+
+    if (opts.shape === "circle") {
+      const radius = Math.min(_box.max.x - _box.min.x, _box.max.z - _box.min.z) / 2 + padding;
+      return addCircle(
+        (_box.min.x + _box.max.x) / 2,
+        (_box.min.z + _box.max.z) / 2,
+        Math.max(radius, 0),
+        extra
+      );
+    }
+    return addBox(
+      _box.min.x - padding,
+      _box.min.z - padding,
+      _box.max.x + padding,
+      _box.max.z + padding,
+      extra
+    );
+  }
+
+  /**
+   * Move a collider (moving crates, opened gates)
+   * @param {number} id - Collider id
+   * @param {number} x - New center X
+   * @param {number} z - New center Z
+   */
+  function setPosition(id, x, z) {
+    const c = colliders.get(id);
+    if (!c) return;
+    unindex(c);
+    if (c.type === "circle") {
+      c.x = x;
+      c.z = z;
+    } else {
+      const hw = (c.maxX - c.minX) / 2;
+      const hd = (c.maxZ - c.minZ) / 2;
+      c.minX = x - hw;
+      c.maxX = x + hw;
+      c.minZ = z - hd;
+      c.maxZ = z + hd;
+    }
+    insert(c);
+  }
+
+  /**
+   * Remove a collider
+   * @param {number} id - Collider id
+   */
+  function remove(id) {
+    const c = colliders.get(id);
+    if (!c) return;
+    unindex(c);
+    colliders.delete(id);
+  }
+
+  /**
+   * Remove all colliders
+   */
+  function clear() {
+    colliders.clear();
+    cells.clear();
+  }
+
+  /**
+   * Get colliders whose bounds touch a circle
+   * @param {number} x - Center X
+   * @param {number} z - Center Z
+   * @param {number} radius - Radius
+   * @returns {Object[]} Colliders
+   */
+  function queryCircle(x, z, radius) {
+    queryStamp++;
+    const out = [];
+    const r = cellRange(x - radius, z - radius, x + radius, z + radius);
+    for (let cx = r.x0; cx <= r.x1; cx++) {
+      for (let cz = r.z0; cz <= r.z1; cz++) {
+        const set = cells.get(cellKey(cx, cz));
+        if (!set) continue;
+        for (const id of set) {
+          const c = colliders.get(id);
+          if (c._stamp === queryStamp) continue;
+          c._stamp = queryStamp;
+          out.push(c);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Penetration depth of a circle into a collider (0 = not touching)
+   */
+  function penetration(c, x, z, radius) {
+    if (c.type === "circle") {
+      const dist = Math.hypot(x - c.x, z - c.z);
+      return Math.max(0, c.radius + radius - dist);
+    }
+    const nx = Math.max(c.minX, Math.min(x, c.maxX));
+    const nz = Math.max(c.minZ, Math.min(z, c.maxZ));
+    const dist = Math.hypot(x - nx, z - nz);
+    if (dist > 0) return Math.max(0, radius - dist);
+    // Center inside the box - depth to the nearest edge plus radius
+    return radius + Math.min(x - c.minX, c.maxX - x, z - c.minZ, c.maxZ - z);
+  }
+
+  function verticallyOverlaps(c, y, height) {
+    if (y === undefined) return true;
+    return y + height > c.minY && y < c.maxY - stepHeight;
+  }
+
+  /**
+   * Check if a circle at (x, z) is blocked.
+   * Colliders the player already overlaps at (fromX, fromZ) only block if the
+   * move pushes deeper, so a player spawned inside a box can walk out.
+   * @param {number} x - Proposed X
+   * @param {number} z - Proposed Z
+   * @param {Object} opts - { radius, fromX, fromZ, y, height }
+   * @returns {boolean}
+   */
+  function isBlocked(x, z, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+    const height = opts.height ?? 1.0;
+    for (const c of queryCircle(x, z, radius)) {
+      if (!verticallyOverlaps(c, opts.y, height)) continue;
+      const depth = penetration(c, x, z, radius);
+      if (depth <= 0) continue;
+      if (opts.fromX !== undefined) {
+        const before = penetration(c, opts.fromX, opts.fromZ, radius);
+        if (before > 0 && depth <= before) continue;
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Top of the highest finite-height collider under a circle that is at most
+   * stepHeight above the feet (something to stand on), or -Infinity
+   * @param {number} x - Center X
+   * @param {number} z - Center Z
+   * @param {number} y - Feet height
+   * @param {number} radius - Radius (default playerRadius)
+   * @returns {number}
+   */
+  function stepHeightAt(x, z, y, radius = defaultRadius) {
+    let top = -Infinity;
+    for (const c of queryCircle(x, z, radius)) {
+      if (c.maxY === Infinity || c.maxY > y + stepHeight || c.maxY <= top) continue;
+      if (penetration(c, x, z, radius) > 0) top = c.maxY;
+    }
+    return top;
+  }
+
+  /**
+   * Resolve a move from (fromX, fromZ) to (x, z) with per-axis sliding.
+   * Result matches updateMovement's checkCollision contract: slideX/slideZ are
+   * velocities to keep on that axis, undefined to stop it.
+   * @param {number} fromX - Current X
+   * @param {number} fromZ - Current Z
+   * @param {number} x - Proposed X
+   * @param {number} z - Proposed Z
+   * @param {number} vx - Velocity X
+   * @param {number} vz - Velocity Z
+   * @param {Object} opts - { radius, y, height }
+   * @returns {Object} { blocked, slideX, slideZ }
+   */
+  function resolveMove(fromX, fromZ, x, z, vx, vz, opts = {}) {
+    const q = { ...opts, fromX, fromZ };
+    if (!isBlocked(x, z, q)) return { blocked: false };
+
+    const xFree = x !== fromX && !isBlocked(x, fromZ, q);
+    const zFree = z !== fromZ && !isBlocked(fromX, z, q);
+
+    // Both single-axis moves work but the diagonal doesn't (outside corner) -
+    // keep the dominant axis so the player slides around instead of sticking
+    if (xFree && zFree) {
+      return Math.abs(vx) >= Math.abs(vz)
+        ? { blocked: true, slideX: vx, slideZ: undefined }
+        : { blocked: true, slideX: undefined, slideZ: vz };
+    }
+
+    return {
+      blocked: true,
+      slideX: xFree ? vx : undefined,
+      slideZ: zFree ? vz : undefined,
+    };
+  }
+
+  /**
+   * Create a checkCollision callback for updateMovement bound to a movement state.
+   * Reads state.x/z (still the pre-move position when called), state.y and
+   * state.colliderHeight, so colliders above a crouching player or below a
+   * jumping one are skipped.
+   * @param {Object} state - Movement state
+   * @param {Object} opts - { radius = playerRadius }
+   * @returns {Function} checkCollision(x, z, vx, vz)
+   */
+  function createCollisionCallback(state, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+    return (x, z, vx, vz) =>
+      resolveMove(state.x, state.z, x, z, vx, vz, {
+        radius,
+        y: state.y,
+        height: state.colliderHeight ?? 1.0,
+      });
+  }
+
+  /**
+   * Create a getGroundHeight callback for updateMovement that stands the
+   * player on colliders they stepped over (see stepHeight).
+   * @param {Object} state - Movement state (reads y)
+   * @param {Function} baseGroundHeight - Function(x, z) => height (optional, e.g. a platform or mesh callback)
+   * @param {Object} opts - { radius = playerRadius }
+   * @returns {Function} getGroundHeight(x, z)
+   */
+  function createGroundHeightCallback(state, baseGroundHeight = null, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+    return (x, z) => {
+      const base = baseGroundHeight ? baseGroundHeight(x, z) : 0;
+      return Math.max(base, stepHeightAt(x, z, state.y, radius));
+    };
+  }
+
+  /**
+   * Get number of registered colliders
+   * @returns {number}
+   */
+  function size() {
+    return colliders.size;
+  }
+
+  return {
+    addBox,
+    addCircle,
+    addObject,
+    setPosition,
+    remove,
+    clear,
+    queryCircle,
+    isBlocked,
+    resolveMove,
+    stepHeightAt,
+    createCollisionCallback,
+    createGroundHeightCallback,
+    size,
+  };
+}
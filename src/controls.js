@@ -4,6 +4,7 @@
  */
 
 import { normalizeAngle } from "./camera";
+import { getKeyBindings } from "./bindings";
 
 /**
  * Convert screen-space direction to world-space grid direction based on camera orbit angle.
@@ -31,8 +32,29 @@ export function screenToWorldDirection(screenDx, screenDy, cameraOrbitAngle) {
   // "Screen right" (D key, +screenDx) should move player to camera's right
   // Camera right = (-cos(angle), 0, -sin(angle))
 
-  const cosA = Math.cos(angle);
-  const sinA = Math.sin(angle);
+  const { dx: worldX, dz: worldZ } = screenToWorldVector(screenDx, screenDy, angle);
+
+  // Snap to cardinal direction (grid-based movement)
+  if (Math.abs(worldX) > Math.abs(worldZ)) {
+    return { dx: worldX > 0 ? 1 : -1, dz: 0 };
+  } else {
+    return { dx: 0, dz: worldZ > 0 ? 1 : -1 };
+  }
+}
+
+/**
+ * Convert screen-space direction to a continuous world-space vector (no snapping).
+ * Same basis as screenToWorldDirection, but keeps diagonals and magnitude so
+ * analog input (joystick tilt, gamepad stick) maps straight onto setInput().
+ *
+ * @param {number} screenDx - Screen X component (-1 = left, 1 = right)
+ * @param {number} screenDy - Screen Y component (-1 = up, 1 = down)
+ * @param {number} cameraOrbitAngle - Current camera orbit angle in radians
+ * @returns {Object} { dx, dz } - World direction, magnitude clamped to 1
+ */
+export function screenToWorldVector(screenDx, screenDy, cameraOrbitAngle) {
+  const cosA = Math.cos(cameraOrbitAngle);
+  const sinA = Math.sin(cameraOrbitAngle);
 
   // Forward (screen up): direction camera is looking = (-sinA, 0, cosA)
   // Right (screen right): camera's right vector = (-cosA, 0, -sinA)
@@ -45,32 +67,95 @@ export function screenToWorldDirection(screenDx, screenDy, cameraOrbitAngle) {
   const fwd = -screenDy;
   const rgt = screenDx;
 
-  const worldX = fwd * forwardX + rgt * rightX;
-  const worldZ = fwd * forwardZ + rgt * rightZ;
+  let worldX = fwd * forwardX + rgt * rightX;
+  let worldZ = fwd * forwardZ + rgt * rightZ;
 
-  // Snap to cardinal direction (grid-based movement)
-  if (Math.abs(worldX) > Math.abs(worldZ)) {
-    return { dx: worldX > 0 ? 1 : -1, dz: 0 };
-  } else {
-    return { dx: 0, dz: worldZ > 0 ? 1 : -1 };
+  // Keyboard diagonals come in as (1, 1) - don't let them exceed full speed
+  const mag = Math.hypot(worldX, worldZ);
+  if (mag > 1) {
+    worldX /= mag;
+    worldZ /= mag;
   }
+
+  return { dx: worldX, dz: worldZ };
 }
 
+/**
+ * Response curve presets for analog input.
+ * Input and output are magnitudes in [0, 1]; steeper curves give finer
+ * control near the center of the stick.
+ */
+export const ResponseCurves = {
+  linear: (t) => t,
+  quadratic: (t) => t * t,
+  cubic: (t) => t * t * t,
+  smooth: (t) => t * t * (3 - 2 * t),
+};
+
+/**
+ * Apply a response curve to an analog magnitude
+ * @param {number} t - Magnitude in [0, 1]
+ * @param {string|number|Function} curve - Preset name, exponent, or custom function
+ * @returns {number} Curved magnitude in [0, 1]
+ */
+export function applyResponseCurve(t, curve = "linear") {
+  let out;
+  if (typeof curve === "function") out = curve(t);
+  else if (typeof curve === "number") out = Math.pow(t, curve);
+  else out = (ResponseCurves[curve] || ResponseCurves.linear)(t);
+  return Math.min(1, Math.max(0, out));
+}
+
+/**
+ * Convert a raw 2D delta to an analog screen direction with a radial dead zone.
+ * Magnitude is rescaled so it starts at 0 right outside the dead zone
+ * and reaches 1 at maxRadius.
+ *
+ * @param {number} dx - Delta X
+ * @param {number} dy - Delta Y
+ * @param {number} deadZone - Radius below which input is ignored
+ * @param {number} maxRadius - Radius at which input is full strength
+ * @param {string|number|Function} curve - Response curve (see applyResponseCurve)
+ * @returns {Object} { screenDx, screenDy, magnitude } - Direction scaled by magnitude
+ */
+function deltaToAnalog(dx, dy, deadZone, maxRadius, curve) {
+  const dist = Math.hypot(dx, dy);
+  if (dist <= deadZone || dist === 0) {
+    return { screenDx: 0, screenDy: 0, magnitude: 0 };
+  }
+
+  const range = Math.max(maxRadius - deadZone, 0.0001);
+  const linear = Math.min((dist - deadZone) / range, 1);
+  const magnitude = applyResponseCurve(linear, curve);
+
+  return {
+    screenDx: (dx / dist) * magnitude,
+    screenDy: (dy / dist) * magnitude,
+    magnitude,
+  };
+}
+
+/**
+ * Screen direction for each movement action
+ */
+const ACTION_SCREEN_DIRECTIONS = {
+  moveForward: { screenDx: 0, screenDy: -1 },
+  moveBackward: { screenDx: 0, screenDy: 1 },
+  moveLeft: { screenDx: -1, screenDy: 0 },
+  moveRight: { screenDx: 1, screenDy: 0 },
+};
+
 /**
  * Parse keyboard event to screen direction
  * @param {string} code - KeyboardEvent.code
+ * @param {Object} bindings - Key bindings registry (default: shared registry from getKeyBindings)
  * @returns {Object|null} { screenDx, screenDy } or null if not a movement key
  */
-export function keyCodeToScreenDirection(code) {
-  let screenDx = 0, screenDy = 0;
-
-  if (["ArrowUp", "KeyW"].includes(code)) screenDy = -1;
-  else if (["ArrowDown", "KeyS"].includes(code)) screenDy = 1;
-  else if (["ArrowLeft", "KeyA"].includes(code)) screenDx = -1;
-  else if (["ArrowRight", "KeyD"].includes(code)) screenDx = 1;
-  else return null;
+export function keyCodeToScreenDirection(code, bindings = getKeyBindings()) {
+  const dir = ACTION_SCREEN_DIRECTIONS[bindings.getAction(code)];
+  if (!dir) return null;
 
-  return { screenDx, screenDy };
+  return { screenDx: dir.screenDx, screenDy: dir.screenDy };
 }
 
 /**
@@ -116,6 +201,36 @@ export function joystickToScreenDirection(dx, dy, threshold = 20) {
   }
 }
 
+/**
+ * Analog version of joystickToScreenDirection - keeps full 360° direction and tilt
+ * @param {number} dx - Joystick delta X from center
+ * @param {number} dy - Joystick delta Y from center
+ * @param {Object} options - { deadZone = 20, maxRadius = 60, curve = "linear" }
+ * @returns {Object} { screenDx, screenDy, magnitude } - (0,0,0) inside the dead zone
+ */
+export function joystickToAnalogDirection(dx, dy, options = {}) {
+  const { deadZone = 20, maxRadius = 60, curve = "linear" } = options;
+  return deltaToAnalog(dx, dy, deadZone, maxRadius, curve);
+}
+
+/**
+ * Analog version of touchDeltaToScreenDirection for drag-to-move controls.
+ * The threshold is also the dead zone: magnitude is
+ * curve((len - threshold) / (maxDistance - threshold)), so it rises from 0
+ * as the drag passes the threshold instead of jumping.
+ * @param {number} dx - Touch delta X
+ * @param {number} dy - Touch delta Y
+ * @param {Object} options - { threshold = 18, maxDistance = 80, curve = "linear" }
+ * @returns {Object|null} { screenDx, screenDy, magnitude } or null up to the threshold
+ */
+export function touchDeltaToAnalogDirection(dx, dy, options = {}) {
+  const { threshold = 18, maxDistance = 80, curve = "linear" } = options;
+  if (Math.hypot(dx, dy) <= threshold) {
+    return null; // Not a drag
+  }
+  return deltaToAnalog(dx, dy, threshold, maxDistance, curve);
+}
+
 /**
  * Create touch state tracker
  * @returns {Object} Touch state object
@@ -127,6 +242,7 @@ export function createTouchState() {
     pinchStartDist: null,
     pinchStartZoom: null,
     cameraTouchId: null, // Track specific touch for camera drag (allows simultaneous joystick + camera)
+    joystickTouchId: null, // Touch claimed by an on-screen joystick (ignored by camera/gestures)
   };
 }
 
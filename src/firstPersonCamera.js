@@ -14,13 +14,15 @@ const _lookTarget = new THREE.Vector3();
 
 /**
  * Create first-person camera state
+ * @param {Object} options - { effects } - optional createCameraEffects() handler
  */
-export function createFirstPersonState() {
+export function createFirstPersonState(options = {}) {
   return {
     enabled: false,
     yaw: 0,
     pitch: 0,
     transitionT: 0,
+    effects: options.effects ?? null,
   };
 }
 
@@ -29,6 +31,7 @@ export function createFirstPersonState() {
  */
 export function updateFirstPersonCamera(camera, playerPos, fpState, dt) {
   if (!fpState.enabled) return;
+  if (fpState.effects) fpState.effects.restore(camera);
 
   const headY = playerPos.y + 1.0;
   fpState.transitionT = Math.min(fpState.transitionT + dt * 5, 1);
@@ -51,14 +54,16 @@ export function updateFirstPersonCamera(camera, playerPos, fpState, dt) {
   _lookTarget.copy(camera.position).add(_lookDir);
   camera.lookAt(_lookTarget);
   camera.rotation.z = 0;
+
+  if (fpState.effects) fpState.effects.apply(camera);
 }
 
 /**
  * Apply mouse/touch look deltas to first-person state
+ * @param {number} sensitivity - Radians per pixel (default 0.003)
  */
-export function applyFirstPersonLook(fpState, deltaX, deltaY) {
+export function applyFirstPersonLook(fpState, deltaX, deltaY, sensitivity = 0.003) {
   if (!fpState.enabled) return;
-  const sensitivity = 0.003;
   fpState.yaw -= deltaX * sensitivity;
   fpState.pitch -= deltaY * sensitivity;
   fpState.pitch = THREE.MathUtils.clamp(fpState.pitch, -1.2, 1.2);
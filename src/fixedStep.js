@@ -0,0 +1,143 @@
+/**
+ * Fixed-timestep simulation loop.
+ * Runs movement at a constant tick regardless of render frame rate, so jump
+ * height, speed and collision behave the same at 30, 60 or 144fps.
+ * Renders interpolate between the last two ticks using the returned alpha.
+ */
+
+import { updateMovement, storePreviousTransform } from "./movement";
+import { getTimeScale } from "./time";
+
+/**
+ * Create a fixed-step accumulator
+ * @param {Object} options - Configuration
+ * @param {number} options.step - Tick length in seconds (default 1/60)
+ * @param {number} options.maxSubSteps - Max ticks per frame before dropping time (spiral-of-death guard)
+ * @param {number} options.maxFrameTime - Frame dt clamp in seconds (background tab returning)
+ * @returns {Object} Fixed-step API
+ */
+export function createFixedStep(options = {}) {
+  const step = options.step ?? 1 / 60;
+  const maxSubSteps = options.maxSubSteps ?? 5;
+  const maxFrameTime = options.maxFrameTime ?? 0.25;
+
+  let accumulator = 0;
+  let alpha = 0;
+  let tick = 0;
+
+  /**
+   * Advance by one render frame, running as many fixed ticks as fit
+   * @param {number} frameDt - Render frame delta in seconds
+   * @param {Function} onTick - Function(step, tick) called for each fixed tick
+   * @returns {number} Interpolation alpha (0-1) between the last two ticks
+   */
+  function advance(frameDt, onTick) {
+    const dt = Number.isFinite(frameDt) && frameDt > 0 ? Math.min(frameDt, maxFrameTime) : 0;
+    accumulator += dt;
+
+    let steps = 0;
+    while (accumulator >= step && steps < maxSubSteps) {
+      onTick(step, tick);
+      accumulator -= step;
+      tick++;
+      steps++;
+    }
+
+    // Still behind after maxSubSteps - drop the backlog instead of spiraling
+    if (accumulator >= step) {
+      accumulator %= step;
+    }
+
+    alpha = accumulator / step;
+    return alpha;
+  }
+
+  /**
+   * Get interpolation alpha from the last advance()
+   * @returns {number}
+   */
+  function getAlpha() {
+    return alpha;
+  }
+
+  /**
+   * Get number of ticks run so far
+   * @returns {number}
+   */
+  function getTick() {
+    return tick;
+  }
+
+  /**
+   * Get tick length
+   * @returns {number} Seconds
+   */
+  function getStep() {
+    return step;
+  }
+
+  /**
+   * Clear accumulated time (after loading, teleporting or unpausing)
+   */
+  function reset() {
+    accumulator = 0;
+    alpha = 0;
+  }
+
+  return {
+    advance,
+    getAlpha,
+    getTick,
+    getStep,
+    reset,
+  };
+}
+
+/**
+ * Create a fixed-step runner for a movement state.
+ * Stores the previous transform before each tick so applyToObject(state, obj, alpha)
+ * can render smoothly between ticks.
+ *
+ * @param {Object} state - Movement state
+ * @param {Object} options - createFixedStep options, plus:
+ * @param {Function} options.update - Tick function(state, dt, getGroundHeight, checkCollision, timeScale)
+ *   (default updateMovement; pass recorder.update to record at the fixed rate)
+ * @returns {Object} { update(frameDt, getGroundHeight, checkCollision, timeScale) => alpha, getAlpha, getTick, reset }
+ */
+export function createMovementRunner(state, options = {}) {
+  const fixed = createFixedStep(options);
+  const tickFn = options.update ?? updateMovement;
+
+  /**
+   * Run movement for one render frame.
+   * The time scale is applied once to the frame time, so slow motion runs
+   * fewer ticks of the same fixed length rather than shorter ticks.
+   * @param {number} frameDt - Render frame delta in seconds
+   * @param {Function} getGroundHeight - Function(x, z) => height
+   * @param {Function} checkCollision - Function(x, z, vx, vz) => { blocked, slideX, slideZ }
+   * @param {number} timeScale - Simulation speed (default: global getTimeScale())
+   * @returns {number} Interpolation alpha for applyToObject
+   */
+  function update(frameDt, getGroundHeight, checkCollision, timeScale = getTimeScale()) {
+    return fixed.advance(frameDt * timeScale, (dt) => {
+      storePreviousTransform(state);
+      tickFn(state, dt, getGroundHeight, checkCollision, 1);
+    });
+  }
+
+  /**
+   * Clear accumulated time and snap interpolation to the current position
+   */
+  function reset() {
+    fixed.reset();
+    storePreviousTransform(state);
+  }
+
+  return {
+    update,
+    getAlpha: fixed.getAlpha,
+    getTick: fixed.getTick,
+    getStep: fixed.getStep,
+    reset,
+  };
+}
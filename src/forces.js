@@ -0,0 +1,175 @@
+import { applyForce, FORCE_DEFAULTS } from "./movement";
+
+/**
+ * Persistent force fields: wind volumes, updrafts and conveyor tiles.
+ * Fields are boxes or circles on the XZ plane (with optional vertical extent).
+ * apply() pushes the sum of the fields containing the player into the
+ * movement state via applyForce before updateMovement.
+ */
+
+/**
+ * Create a force field world
+ * @returns {Object} Force field API
+ */
+export function createForceFieldWorld() {
+  const fields = new Map(); // id -> field
+  let nextId = 1;
+
+  function add(field) {
+    const f = {
+      id: nextId++,
+      type: "wind",
+      x: 0,
+      y: 0,
+      z: 0,
+      minY: -Infinity,
+      maxY: Infinity,
+      enabled: true,
+      data: null,
+      ...field,
+    };
+    fields.set(f.id, f);
+    return f.id;
+  }
+
+  /**
+   * Register a box field
+   * @param {number} minX - Min X
+   * @param {number} minZ - Min Z
+   * @param {number} maxX - Max X
+   * @param {number} maxZ - Max Z
+   * @param {Object} opts - { type = "wind", x, y, z, minY, maxY, data }
+   *   type "wind": (x, y, z) is an acceleration in units/sec² (y > gravity lifts off the ground)
+   *   type "conveyor": (x, z) is a belt velocity in units/sec, only while grounded
+   * @returns {number} Field id
+   */
+  function addBox(minX, minZ, maxX, maxZ, opts = {}) {
+    return add({
+      shape: "box",
+      minX: Math.min(minX, maxX),
+      minZ: Math.min(minZ, maxZ),
+      maxX: Math.max(minX, maxX),
+      maxZ: Math.max(minZ, maxZ),
+      ...opts,
+    });
+  }
+
+  /**
+   * Register a circular field (whirlwinds, fans, geysers)
+   * @param {number} cx - Center X
+   * @param {number} cz - Center Z
+   * @param {number} radius - Radius
+   * @param {Object} opts - Same as addBox
+   * @returns {number} Field id
+   */
+  function addCircle(cx, cz, radius, opts = {}) {
+    return add({ shape: "circle", cx, cz, radius, ...opts });
+  }
+
+  /**
+   * Change a field's force or belt velocity (gusts, reversing conveyors)
+   * @param {number} id - Field id
+   * @param {number} x - X component
+   * @param {number} y - Y component
+   * @param {number} z - Z component
+   */
+  function setForce(id, x, y, z) {
+    const f = fields.get(id);
+    if (!f) return;
+    f.x = x;
+    f.y = y;
+    f.z = z;
+  }
+
+  /**
+   * Turn a field on or off
+   * @param {number} id - Field id
+   * @param {boolean} enabled - Whether the field acts
+   */
+  function setEnabled(id, enabled) {
+    const f = fields.get(id);
+    if (f) f.enabled = enabled;
+  }
+
+  /**
+   * Remove a field
+   * @param {number} id - Field id
+   */
+  function remove(id) {
+    fields.delete(id);
+  }
+
+  /**
+   * Remove all fields
+   */
+  function clear() {
+    fields.clear();
+  }
+
+  function contains(f, x, y, z) {
+    if (y < f.minY || y > f.maxY) return false;
+    if (f.shape === "circle") {
+      const dx = x - f.cx;
+      const dz = z - f.cz;
+      return dx * dx + dz * dz <= f.radius * f.radius;
+    }
+    return x >= f.minX && x <= f.maxX && z >= f.minZ && z <= f.maxZ;
+  }
+
+  /**
+   * Get enabled fields containing a point
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} z - World Z
+   * @returns {Object[]} Fields
+   */
+  function getFieldsAt(x, y, z) {
+    const out = [];
+    for (const f of fields.values()) {
+      if (f.enabled && contains(f, x, y, z)) out.push(f);
+    }
+    return out;
+  }
+
+  /**
+   * Apply every field containing the player. Call once per update, before updateMovement.
+   * Conveyors push the external velocity toward the belt speed (balanced
+   * against config.externalFriction), so walking against a belt still works.
+   * @param {Object} state - Movement state
+   * @param {Function} push - Function(state, x, y, z) (default applyForce; pass recorder.applyForce when recording)
+   * @returns {Object[]} Fields that acted on the player
+   */
+  function apply(state, push = applyForce) {
+    const active = getFieldsAt(state.x, state.y, state.z);
+    for (const f of active) {
+      if (f.type === "conveyor") {
+        if (!state.grounded) continue;
+        const k = state.config.externalFriction ?? FORCE_DEFAULTS.externalFriction;
+        push(state, f.x * k, 0, f.z * k);
+      } else {
+        push(state, f.x, f.y, f.z);
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Get number of registered fields
+   * @returns {number}
+   */
+  function size() {
+    return fields.size;
+  }
+
+  return {
+    addBox,
+    addCircle,
+    setForce,
+    setEnabled,
+    remove,
+    clear,
+    getFieldsAt,
+    apply,
+    size,
+  };
+}
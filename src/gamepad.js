@@ -0,0 +1,221 @@
+/**
+ * Gamepad support via the Gamepad API.
+ * Polls navigator.getGamepads() each frame and maps sticks/buttons to
+ * movement, camera orbit and actions. Defaults follow the W3C "standard" mapping.
+ */
+
+import { joystickToAnalogDirection } from "./controls";
+
+/**
+ * Default bindings for controllers reporting mapping === "standard".
+ * Axes: 0/1 = left stick, 2/3 = right stick.
+ * Buttons: 0 = A/Cross, 3 = Y/Triangle, 10 = left stick press.
+ */
+export const StandardGamepadMapping = {
+  moveX: 0,
+  moveY: 1,
+  lookX: 2,
+  lookY: 3,
+  jump: 0,
+  sprint: 10,
+  ping: 3,
+};
+
+/**
+ * Create a gamepad manager
+ * @param {Object} options - Configuration
+ * @param {Object} options.mapping - Overrides merged over StandardGamepadMapping
+ * @param {number} options.deadZone - Radial stick dead zone (0-1, default 0.15)
+ * @param {string|number|Function} options.curve - Stick response curve (default "quadratic")
+ * @param {number} options.orbitSpeed - Horizontal orbit speed at full tilt (radians/sec)
+ * @param {number} options.pitchSpeed - Vertical orbit speed at full tilt (radians/sec)
+ * @param {boolean} options.invertX - Invert horizontal camera orbit
+ * @param {boolean} options.invertY - Invert vertical camera orbit
+ * @returns {Object} Gamepad manager API
+ */
+export function createGamepadManager(options = {}) {
+  let mapping = { ...StandardGamepadMapping, ...(options.mapping || {}) };
+  const deadZone = options.deadZone ?? 0.15;
+  const curve = options.curve ?? "quadratic";
+  const orbitSpeed = options.orbitSpeed ?? 2.5;
+  const pitchSpeed = options.pitchSpeed ?? 1.5;
+  const invertX = options.invertX ?? false;
+  const invertY = options.invertY ?? false;
+
+  const connected = new Map(); // index -> id
+  let activeIndex = null;      // Pad that drives input (first connected)
+  let prevButtons = {};        // action -> pressed last poll
+
+  let onConnect = null;
+  let onDisconnect = null;
+
+  let last = emptySnapshot();
+
+  function emptySnapshot() {
+    return {
+      connected: false,
+      screenDx: 0,
+      screenDy: 0,
+      jump: false,
+      jumpHeld: false,
+      sprint: false,
+      ping: false,
+      orbit: { deltaAngle: 0, deltaPitch: 0 },
+    };
+  }
+
+  function readPads() {
+    if (typeof navigator === "undefined" || !navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads() || []).filter(Boolean);
+  }
+
+  /**
+   * Diff connected pads against last poll and fire callbacks.
+   * Polling (instead of gamepadconnected events) also catches pads
+   * that were plugged in before the page loaded.
+   */
+  function syncConnections(pads) {
+    const seen = new Set();
+    for (const pad of pads) {
+      if (pad.connected === false) continue;
+      seen.add(pad.index);
+      if (!connected.has(pad.index)) {
+        connected.set(pad.index, pad.id);
+        if (activeIndex === null) activeIndex = pad.index;
+        if (onConnect) onConnect({ index: pad.index, id: pad.id, mapping: pad.mapping });
+      }
+    }
+    for (const [index, id] of connected) {
+      if (seen.has(index)) continue;
+      connected.delete(index);
+      if (activeIndex === index) {
+        activeIndex = connected.size > 0 ? connected.keys().next().value : null;
+        prevButtons = {};
+      }
+      if (onDisconnect) onDisconnect({ index, id });
+    }
+  }
+
+  function isPressed(pad, buttonIndex) {
+    const b = pad.buttons[buttonIndex];
+    if (!b) return false;
+    return typeof b === "object" ? b.pressed || b.value > 0.5 : b > 0.5;
+  }
+
+  function readStick(pad, axisX, axisY) {
+    const x = pad.axes[axisX] ?? 0;
+    const y = pad.axes[axisY] ?? 0;
+    return joystickToAnalogDirection(x, y, { deadZone, maxRadius: 1, curve });
+  }
+
+  /**
+   * Poll the active gamepad. Call once per frame.
+   * @param {number} dt - Delta time in seconds (scales orbit deltas)
+   * @returns {Object} { connected, screenDx, screenDy, jump, jumpHeld, sprint, ping,
+   *   orbit: { deltaAngle, deltaPitch } } - jump/ping are true only on the press frame
+   */
+  function poll(dt = 0) {
+    const pads = readPads();
+    syncConnections(pads);
+
+    const pad = pads.find((p) => p.index === activeIndex);
+    if (!pad) {
+      last = emptySnapshot();
+      return last;
+    }
+
+    const move = readStick(pad, mapping.moveX, mapping.moveY);
+    const look = readStick(pad, mapping.lookX, mapping.lookY);
+
+    const held = {
+      jump: isPressed(pad, mapping.jump),
+      sprint: isPressed(pad, mapping.sprint),
+      ping: isPressed(pad, mapping.ping),
+    };
+
+    last = {
+      connected: true,
+      screenDx: move.screenDx,
+      screenDy: move.screenDy,
+      jump: held.jump && !prevButtons.jump,
+      jumpHeld: held.jump,
+      sprint: held.sprint,
+      ping: held.ping && !prevButtons.ping,
+      orbit: {
+        deltaAngle: look.screenDx * orbitSpeed * dt * (invertX ? -1 : 1),
+        deltaPitch: look.screenDy * pitchSpeed * dt * (invertY ? -1 : 1),
+      },
+    };
+    prevButtons = held;
+    return last;
+  }
+
+  /**
+   * Get the snapshot from the most recent poll()
+   * @returns {Object} Last snapshot
+   */
+  function getLastSnapshot() {
+    return last;
+  }
+
+  /**
+   * Adapter for inputManager.addSource() - reads the last poll() result.
+   * Call poll(dt) before inputManager.poll() each frame.
+   * @returns {Function} Source function
+   */
+  function asInputSource() {
+    return () => (last.connected ? last : null);
+  }
+
+  /**
+   * Override part of the mapping (e.g. { jump: 1 } to jump on B/Circle)
+   * @param {Object} overrides - Action -> axis/button index
+   */
+  function setMapping(overrides) {
+    mapping = { ...mapping, ...overrides };
+    prevButtons = {};
+  }
+
+  /**
+   * Get current mapping
+   * @returns {Object} Copy of the mapping
+   */
+  function getMapping() {
+    return { ...mapping };
+  }
+
+  /**
+   * Check if any gamepad is connected
+   * @returns {boolean}
+   */
+  function isConnected() {
+    return connected.size > 0;
+  }
+
+  /**
+   * Set callback for gamepad connection
+   * @param {Function} callback - Function({ index, id, mapping })
+   */
+  function setOnConnect(callback) {
+    onConnect = callback;
+  }
+
+  /**
+   * Set callback for gamepad disconnection
+   * @param {Function} callback - Function({ index, id })
+   */
+  function setOnDisconnect(callback) {
+    onDisconnect = callback;
+  }
+
+  return {
+    poll,
+    getLastSnapshot,
+    asInputSource,
+    setMapping,
+    getMapping,
+    isConnected,
+    setOnConnect,
+    setOnDisconnect,
+  };
+}
@@ -0,0 +1,306 @@
+/**
+ * Touch gesture recognizer for camera control.
+ * Consumes raw TouchEvents and turns them into tap, double-tap, long-press,
+ * drag-to-orbit, pinch-to-zoom and two-finger twist.
+ *
+ * Touches claimed by the on-screen joystick (touchState.joystickTouchId)
+ * are ignored, so moving and orbiting never fight over a finger. The
+ * joystick may claim a finger after this recognizer saw its touchstart
+ * (canvas listeners fire before window ones); such a touch is dropped on
+ * its next move.
+ * Works with plain objects shaped like TouchEvents, so it can be driven
+ * by synthetic touch lists in tests.
+ */
+
+import { createTouchState, getPinchDistance } from "./controls";
+import { applyOrbit, handlePinchZoom, normalizeAngle } from "./camera";
+
+function touchAngle(a, b) {
+  return Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX);
+}
+
+/**
+ * Create a gesture recognizer
+ * @param {Object} options - Configuration
+ * @param {Object} options.cameraState - Camera state to drive with applyOrbit/handlePinchZoom (optional)
+ * @param {Object} options.touchState - Shared createTouchState() (same one as virtual controls)
+ * @param {Function} options.exclude - Function(touch) => true to ignore a touch (e.g. HUD buttons)
+ * @param {Function} options.now - Clock in ms (default performance.now)
+ * @param {number} options.tapSlop - Max movement in px for a touch to still count as a tap
+ * @param {number} options.tapMaxDuration - Max press length for a tap (ms)
+ * @param {number} options.doubleTapInterval - Max time between taps for a double-tap (ms)
+ * @param {number} options.doubleTapDistance - Max distance between taps for a double-tap (px)
+ * @param {number} options.longPressDuration - Hold time for long-press (ms)
+ * @param {number} options.orbitSensitivity - Radians per pixel of horizontal drag
+ * @param {number} options.pitchSensitivity - Radians per pixel of vertical drag
+ * @param {Function} options.onTap - Function({ x, y })
+ * @param {Function} options.onDoubleTap - Function({ x, y })
+ * @param {Function} options.onLongPress - Function({ x, y })
+ * @param {Function} options.onDrag - Function({ dx, dy, x, y })
+ * @param {Function} options.onPinch - Function({ scale, distance })
+ * @param {Function} options.onTwist - Function({ deltaAngle, angle }) - angle is total since twist start
+ * @returns {Object} Gesture recognizer API
+ */
+export function createGestureRecognizer(options = {}) {
+  const cameraState = options.cameraState ?? null;
+  const touchState = options.touchState ?? createTouchState();
+  const exclude = options.exclude ?? null;
+  const now = options.now ?? (() => performance.now());
+  const tapSlop = options.tapSlop ?? 10;
+  const tapMaxDuration = options.tapMaxDuration ?? 250;
+  const doubleTapInterval = options.doubleTapInterval ?? 250;
+  const doubleTapDistance = options.doubleTapDistance ?? 40;
+  const longPressDuration = options.longPressDuration ?? 500;
+  const orbitSensitivity = options.orbitSensitivity ?? 0.006;
+  const pitchSensitivity = options.pitchSensitivity ?? 0.004;
+  const { onTap, onDoubleTap, onLongPress, onDrag, onPinch, onTwist } = options;
+
+  const active = new Map(); // identifier -> { clientX, clientY }
+
+  // Single-finger state
+  let mode = "idle";        // "idle" | "pending" | "drag" | "pinch" | "spent"
+  let longPressed = false;
+  let lastTap = null;       // { x, y } of previous tap, paired with touchState.lastTapTime
+
+  // Two-finger state
+  let pinchIds = null;      // [idA, idB]
+  let twistStart = 0;
+  let twistLast = 0;
+
+  function isExcluded(touch) {
+    if (touch.identifier === touchState.joystickTouchId) return true;
+    return exclude ? exclude(touch) === true : false;
+  }
+
+  function startPinch() {
+    const [a, b] = [...active.entries()].slice(0, 2);
+    pinchIds = [a[0], b[0]];
+    touchState.pinchStartDist = getPinchDistance(a[1], b[1]);
+    touchState.pinchStartZoom = cameraState ? cameraState.zoom : 1;
+    twistStart = twistLast = touchAngle(a[1], b[1]);
+    touchState.start = null;
+    mode = "pinch";
+  }
+
+  /**
+   * Stop tracking a touch. Losing a pinch finger restarts the pinch with the
+   * two remaining touches, or ends it.
+   */
+  function forget(id) {
+    active.delete(id);
+
+    if (mode === "pinch") {
+      if (!pinchIds.includes(id)) return;
+      if (active.size >= 2) startPinch();
+      else endPinch();
+      return;
+    }
+
+    if (id !== touchState.cameraTouchId) return;
+    touchState.cameraTouchId = null;
+    touchState.start = null;
+    mode = active.size > 0 ? "spent" : "idle";
+  }
+
+  function endPinch() {
+    pinchIds = null;
+    touchState.pinchStartDist = null;
+    touchState.pinchStartZoom = null;
+    // The remaining finger may keep orbiting, but never counts as a tap
+    mode = active.size > 0 ? "spent" : "idle";
+    if (active.size > 0) {
+      const [id, pos] = active.entries().next().value;
+      touchState.cameraTouchId = id;
+      touchState.start = { x: pos.clientX, y: pos.clientY, t: now() };
+    }
+  }
+
+  /**
+   * Handle touchstart
+   * @param {TouchEvent} e - Event (or { changedTouches })
+   */
+  function handleTouchStart(e) {
+    for (const touch of e.changedTouches) {
+      if (isExcluded(touch)) continue;
+      active.set(touch.identifier, { clientX: touch.clientX, clientY: touch.clientY });
+    }
+
+    if (active.size === 1 && mode === "idle") {
+      const [id, pos] = active.entries().next().value;
+      touchState.cameraTouchId = id;
+      touchState.start = { x: pos.clientX, y: pos.clientY, t: now() };
+      longPressed = false;
+      mode = "pending";
+    } else if (active.size >= 2 && mode !== "pinch") {
+      startPinch();
+    }
+  }
+
+  /**
+   * Handle touchmove
+   * @param {TouchEvent} e - Event (or { changedTouches })
+   */
+  function handleTouchMove(e) {
+    let cameraMove = null;
+
+    for (const touch of e.changedTouches) {
+      const prev = active.get(touch.identifier);
+      if (!prev) continue;
+      if (isExcluded(touch)) {
+        forget(touch.identifier);
+        continue;
+      }
+      if (touch.identifier === touchState.cameraTouchId) {
+        cameraMove = { dx: touch.clientX - prev.clientX, dy: touch.clientY - prev.clientY };
+      }
+      prev.clientX = touch.clientX;
+      prev.clientY = touch.clientY;
+    }
+
+    if (mode === "pinch") {
+      const a = active.get(pinchIds[0]);
+      const b = active.get(pinchIds[1]);
+      const distance = getPinchDistance(a, b);
+
+      if (cameraState) {
+        handlePinchZoom(cameraState, touchState.pinchStartDist, distance, touchState.pinchStartZoom);
+      }
+      if (onPinch && touchState.pinchStartDist > 0) {
+        onPinch({ scale: distance / touchState.pinchStartDist, distance });
+      }
+
+      const angle = touchAngle(a, b);
+      const deltaAngle = normalizeAngle(angle - twistLast);
+      twistLast = angle;
+      if (onTwist && deltaAngle !== 0) {
+        onTwist({ deltaAngle, angle: normalizeAngle(angle - twistStart) });
+      }
+      return;
+    }
+
+    if (!cameraMove) return;
+    const pos = active.get(touchState.cameraTouchId);
+
+    if (mode === "pending") {
+      const moved = Math.hypot(pos.clientX - touchState.start.x, pos.clientY - touchState.start.y);
+      if (moved <= tapSlop) return;
+      mode = "drag";
+    }
+
+    if (mode === "drag" || mode === "spent") {
+      if (cameraState) {
+        applyOrbit(cameraState, -cameraMove.dx * orbitSensitivity, cameraMove.dy * pitchSensitivity);
+      }
+      if (onDrag) onDrag({ ...cameraMove, x: pos.clientX, y: pos.clientY });
+    }
+  }
+
+  /**
+   * Handle touchend / touchcancel
+   * @param {TouchEvent} e - Event (or { changedTouches, type })
+   */
+  function handleTouchEnd(e) {
+    const cancelled = e.type === "touchcancel";
+
+    for (const touch of e.changedTouches) {
+      if (!active.has(touch.identifier)) continue;
+
+      const isTap = touch.identifier === touchState.cameraTouchId &&
+        mode === "pending" && !longPressed && !cancelled && !isExcluded(touch);
+      if (isTap) recognizeTap(touch);
+      forget(touch.identifier);
+    }
+
+    if (active.size === 0) {
+      mode = "idle";
+      touchState.cameraTouchId = null;
+    }
+  }
+
+  function recognizeTap(touch) {
+    const t = now();
+    if (t - touchState.start.t > tapMaxDuration) return;
+
+    const x = touch.clientX;
+    const y = touch.clientY;
+    const isDouble = lastTap !== null &&
+      t - touchState.lastTapTime < doubleTapInterval &&
+      Math.hypot(x - lastTap.x, y - lastTap.y) < doubleTapDistance;
+
+    if (isDouble) {
+      // Reset so a third tap starts a new pair instead of firing again
+      touchState.lastTapTime = 0;
+      lastTap = null;
+      if (onDoubleTap) onDoubleTap({ x, y });
+    } else {
+      touchState.lastTapTime = t;
+      lastTap = { x, y };
+      if (onTap) onTap({ x, y });
+    }
+  }
+
+  /**
+   * Check for long-press. Call once per frame (no timers, so tests can drive the clock).
+   */
+  function update() {
+    if (mode !== "pending" || longPressed || !touchState.start) return;
+    if (now() - touchState.start.t < longPressDuration) return;
+
+    longPressed = true;
+    const pos = active.get(touchState.cameraTouchId);
+    if (onLongPress && pos) onLongPress({ x: pos.clientX, y: pos.clientY });
+  }
+
+  /**
+   * Forget all active touches (e.g. when the game loses focus)
+   */
+  function reset() {
+    active.clear();
+    pinchIds = null;
+    mode = "idle";
+    longPressed = false;
+    touchState.cameraTouchId = null;
+    touchState.start = null;
+    touchState.pinchStartDist = null;
+    touchState.pinchStartZoom = null;
+  }
+
+  let attachedTarget = null;
+
+  /**
+   * Attach touch listeners to an element
+   * @param {EventTarget} target - Element to listen on (usually the canvas)
+   */
+  function attach(target) {
+    detach();
+    attachedTarget = target;
+    target.addEventListener("touchstart", handleTouchStart, { passive: true });
+    target.addEventListener("touchmove", handleTouchMove, { passive: true });
+    target.addEventListener("touchend", handleTouchEnd);
+    target.addEventListener("touchcancel", handleTouchEnd);
+  }
+
+  /**
+   * Remove touch listeners added by attach()
+   */
+  function detach() {
+    if (!attachedTarget) return;
+    attachedTarget.removeEventListener("touchstart", handleTouchStart);
+    attachedTarget.removeEventListener("touchmove", handleTouchMove);
+    attachedTarget.removeEventListener("touchend", handleTouchEnd);
+    attachedTarget.removeEventListener("touchcancel", handleTouchEnd);
+    attachedTarget = null;
+    reset();
+  }
+
+  return {
+    handleTouchStart,
+    handleTouchMove,
+    handleTouchEnd,
+    update,
+    reset,
+    attach,
+    detach,
+    touchState,
+  };
+}
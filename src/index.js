@@ -4,6 +4,10 @@
  *
  * This SDK provides:
  * - Controls: Camera-relative input handling (joystick, keyboard, touch)
+ * - Input: Per-frame input manager merging all input sources
+ * - Gamepad: Controller support via the Gamepad API
+ * - Virtual controls: On-screen joystick and buttons for standalone mobile
+ * - Gestures: Touch gesture recognition for camera control
  * - Movement: Physics-based movement system with multiple modes
  * - Camera: Third-person camera with orbit, zoom, follow
  * - Multiplayer: Supabase Realtime-based player sync
@@ -15,9 +19,14 @@
 // Controls - input handling and direction conversion
 export {
   screenToWorldDirection,
+  screenToWorldVector,
   keyCodeToScreenDirection,
   touchDeltaToScreenDirection,
+  touchDeltaToAnalogDirection,
   joystickToScreenDirection,
+  joystickToAnalogDirection,
+  applyResponseCurve,
+  ResponseCurves,
   createTouchState,
   getPinchDistance,
   isDoubleTap,
@@ -25,29 +34,152 @@ export {
   restoreMobileStyles,
 } from './controls.js';
 
+// Key bindings - rebindable actions with persistence
+export {
+  createKeyBindings,
+  getKeyBindings,
+  setKeyBindings,
+  DefaultKeyBindings,
+} from './bindings.js';
+
+// Input - unified keyboard/joystick/shell input manager
+export {
+  createInputManager,
+} from './input.js';
+
+// Virtual controls - on-screen joystick and buttons for standalone mobile
+export {
+  createVirtualControls,
+} from './virtualControls.js';
+
+// Gestures - tap, long-press, orbit, pinch and twist recognition
+export {
+  createGestureRecognizer,
+} from './gestures.js';
+
+// Gamepad - controller polling with rebindable mapping
+export {
+  createGamepadManager,
+  StandardGamepadMapping,
+} from './gamepad.js';
+
 // Movement - physics-based movement system
 export {
   createMovementState,
   setInput,
   clearInput,
   jump,
+  pressJump,
+  releaseJump,
+  applyImpulse,
+  applyForce,
+  loseControl,
   updateMovement,
   applyToObject,
+  applyTransform,
+  storePreviousTransform,
   applyEarAnimation,
   resetMovement,
   applyTierModifiers,
+  setMovementMode,
+  canEnterMode,
   MovementModes,
+  ModeConditions,
+  FORCE_DEFAULTS,
 } from './movement.js';
 
+// Collision - box/circle collision world with spatial hash
+export {
+  createCollisionWorld,
+} from './collision.js';
+
+// Mesh collision - ground probe and capsule sweep against THREE meshes
+export {
+  createMeshCollisionWorld,
+} from './meshCollision.js';
+
+// Platforms - moving platforms that carry grounded riders
+export {
+  createPlatformWorld,
+} from './platforms.js';
+
+// Forces - wind volumes, updrafts and conveyor tiles
+export {
+  createForceFieldWorld,
+} from './forces.js';
+
+// Water - water volumes, buoyancy and automatic swim mode
+export {
+  createWaterWorld,
+} from './water.js';
+
+// Animation - movement-driven character animation with pluggable rigs
+export {
+  createAnimationController,
+  createMixerRig,
+  classifyAnimationState,
+  registerRig,
+  createRig,
+  AnimationStates,
+} from './animation.js';
+
+// Fixed step - constant-tick simulation loop with interpolation
+export {
+  createFixedStep,
+  createMovementRunner,
+} from './fixedStep.js';
+
+// Replay - input recording and deterministic movement replay
+export {
+  createInputRecorder,
+  createInputReplayer,
+  replayRecording,
+  parseRecording,
+} from './replay.js';
+
+// Snapshot - versioned movement state save/restore
+export {
+  serializeMovementState,
+  restoreMovementState,
+  parseMovementSnapshot,
+  MOVEMENT_SNAPSHOT_VERSION,
+} from './snapshot.js';
+
+// Time - global time scale for slow motion and pause
+export {
+  setTimeScale,
+  getTimeScale,
+} from './time.js';
+
 // Camera - third-person camera system
 export {
   createCameraState,
+  createCameraRig,
   updateCamera,
+  snapCamera,
   applyOrbit,
+  updateAutoRecenter,
   handlePinchZoom,
   normalizeAngle,
 } from './camera.js';
 
+// Camera occlusion - pull in or fade when walls block the third-person camera
+export {
+  createCameraOcclusion,
+} from './cameraOcclusion.js';
+
+// Camera sequencer - scripted shots for intros, portals and reveals
+export {
+  createCameraSequencer,
+  parseCameraSequence,
+  Easings,
+} from './cameraSequencer.js';
+
+// Camera effects - trauma shake, FOV punches and zoom pulses
+export {
+  createCameraEffects,
+} from './cameraEffects.js';
+
 // First-person camera (Iron Man suit)
 export {
   createFirstPersonState,
@@ -57,6 +189,11 @@ export {
   exitFirstPerson,
 } from './firstPersonCamera.js';
 
+// Pointer lock - mouse look for first-person mode
+export {
+  createPointerLockController,
+} from './pointerLock.js';
+
 // Multiplayer - Supabase Realtime player sync
 export {
   setSupabaseClient,
@@ -116,4 +253,5 @@ export {
   getShellBridge,
   useShellBridge,
   setShellSupabase,
+  bindShellFlyMode,
 } from './shell-bridge.js';
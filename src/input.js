@@ -0,0 +1,305 @@
+/**
+ * Unified input manager.
+ * Owns the keydown/keyup bookkeeping every game used to rebuild, and merges
+ * keyboard, on-screen joystick, shell and custom sources into one per-frame
+ * snapshot that feeds setInput() directly.
+ */
+
+import {
+  keyCodeToScreenDirection,
+  joystickToAnalogDirection,
+  screenToWorldVector,
+} from "./controls";
+import { getKeyBindings } from "./bindings";
+
+/**
+ * Check if a keyboard event is aimed at a text field (chat box, name input)
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {boolean} True if the game should ignore the key
+ */
+function isTypingTarget(e) {
+  const el = e.target;
+  if (!el || !el.tagName) return false;
+  return el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.isContentEditable === true;
+}
+
+/**
+ * Create an input manager that listens to keyboard and shell input.
+ *
+ * Shell input arrives as `shell-input` events (see ShellBridge) with a payload of
+ * { dx, dy, jump, sprint, vertical } where dx/dy are screen-space joystick values
+ * in [-1, 1] and vertical is fly ascend/descend in [-1, 1].
+ *
+ * @param {Object} options - { target = window, listenToShell = true, joystick = {}, bindings }
+ *   joystick: options passed to joystickToAnalogDirection for setJoystick()
+ *   bindings: key bindings registry (default: shared registry from getKeyBindings)
+ * @returns {Object} Input manager API
+ */
+export function createInputManager(options = {}) {
+  const target = options.target ?? (typeof window !== "undefined" ? window : null);
+  const listenToShell = options.listenToShell ?? true;
+  const joystickOptions = options.joystick ?? {};
+  const bindings = options.bindings ?? getKeyBindings();
+
+  const heldKeys = new Set();
+  const sources = new Set();
+
+  let jumpQueued = false;   // Edge-triggered: consumed by the next poll()
+  let jumpHeld = false;
+  let sprintHeld = false;
+  let lookX = 0;            // Accumulated look deltas since last poll()
+  let lookY = 0;
+
+  let joystickDx = 0;
+  let joystickDy = 0;
+
+  let shell = { dx: 0, dy: 0, jump: false, sprint: false, vertical: 0 };
+
+  let onAction = null;
+
+  const listeners = [];
+
+  function listen(el, type, handler) {
+    if (!el) return;
+    el.addEventListener(type, handler);
+    listeners.push([el, type, handler]);
+  }
+
+  function onKeyDown(e) {
+    if (isTypingTarget(e)) return;
+
+    const action = bindings.getAction(e.code);
+    if (!action) return;
+
+    if (action === "jump") {
+      if (!e.repeat) jumpQueued = true;
+      jumpHeld = true;
+      e.preventDefault();
+      return;
+    }
+    if (action === "sprint") {
+      sprintHeld = true;
+      return;
+    }
+    if (keyCodeToScreenDirection(e.code, bindings) || action === "moveUp" || action === "moveDown") {
+      heldKeys.add(e.code);
+      e.preventDefault();
+      return;
+    }
+
+    // Everything else (chat, ping, toggleFirstPerson, custom) is a one-shot action
+    if (!e.repeat && onAction) onAction(action, e);
+  }
+
+  function onKeyUp(e) {
+    const action = bindings.getAction(e.code);
+    if (action === "jump") jumpHeld = false;
+    else if (action === "sprint") sprintHeld = false;
+    // Always drop the code - its binding may have changed while it was held
+    heldKeys.delete(e.code);
+  }
+
+  // Keyup never fires if focus leaves mid-press - drop everything so keys don't stick
+  function onBlur() {
+    heldKeys.clear();
+    jumpHeld = false;
+    sprintHeld = false;
+  }
+
+  function onShellInput(e) {
+    const payload = e.detail || {};
+    if (payload.jump && !shell.jump) jumpQueued = true;
+    shell = {
+      dx: payload.dx ?? 0,
+      dy: payload.dy ?? 0,
+      jump: payload.jump === true,
+      sprint: payload.sprint === true,
+      vertical: payload.vertical ?? 0,
+    };
+  }
+
+  listen(target, "keydown", onKeyDown);
+  listen(target, "keyup", onKeyUp);
+  listen(target, "blur", onBlur);
+  if (listenToShell) listen(target, "shell-input", onShellInput);
+
+  /**
+   * Sum held movement keys into one screen direction (W+D = diagonal)
+   */
+  function keyboardDirection() {
+    let screenDx = 0, screenDy = 0;
+    for (const code of heldKeys) {
+      const dir = keyCodeToScreenDirection(code, bindings);
+      if (!dir) continue;
+      screenDx += dir.screenDx;
+      screenDy += dir.screenDy;
+    }
+    return {
+      screenDx: Math.max(-1, Math.min(1, screenDx)),
+      screenDy: Math.max(-1, Math.min(1, screenDy)),
+    };
+  }
+
+  /**
+   * Sum held moveUp/moveDown keys into a vertical direction (fly mode)
+   */
+  function keyboardVertical() {
+    let dy = 0;
+    for (const code of heldKeys) {
+      const action = bindings.getAction(code);
+      if (action === "moveUp") dy += 1;
+      else if (action === "moveDown") dy -= 1;
+    }
+    return dy;
+  }
+
+  /**
+   * Set on-screen joystick position (pixels from stick center)
+   * @param {number} dx - Delta X from center
+   * @param {number} dy - Delta Y from center
+   */
+  function setJoystick(dx, dy) {
+    const stick = joystickToAnalogDirection(dx, dy, joystickOptions);
+    joystickDx = stick.screenDx;
+    joystickDy = stick.screenDy;
+  }
+
+  /**
+   * Release the on-screen joystick
+   */
+  function clearJoystick() {
+    joystickDx = 0;
+    joystickDy = 0;
+  }
+
+  /**
+   * Queue a jump (on-screen jump button)
+   */
+  function pressJump() {
+    jumpQueued = true;
+  }
+
+  /**
+   * Set sprint held state (on-screen sprint button)
+   * @param {boolean} held - Whether sprint is held
+   */
+  function setSprint(held) {
+    sprintHeld = held;
+  }
+
+  /**
+   * Add camera look delta (touch drag, mouse drag)
+   * @param {number} dx - Horizontal delta in pixels
+   * @param {number} dy - Vertical delta in pixels
+   */
+  function addLook(dx, dy) {
+    lookX += dx;
+    lookY += dy;
+  }
+
+  /**
+   * Register an extra input source polled once per frame.
+   * The function returns any of { screenDx, screenDy, moveY, jump, sprint, lookX, lookY }.
+   * @param {Function} source - Source poll function
+   * @returns {Function} Unregister function
+   */
+  function addSource(source) {
+    sources.add(source);
+    return () => sources.delete(source);
+  }
+
+  /**
+   * Build this frame's input snapshot. Call once per frame.
+   * Jump and look are consumed by this call.
+   * @param {number} cameraOrbitAngle - Current camera orbit angle in radians
+   * @returns {Object} { moveX, moveZ, moveY, jump, jumpHeld, sprint, look: { x, y } }
+   *   moveY is vertical input for setInput's dy (fly mode)
+   *   jump is true on the press frame (pressJump), jumpHeld while held (releaseJump when false)
+   */
+  function poll(cameraOrbitAngle = 0) {
+    const keys = keyboardDirection();
+    let screenDx = keys.screenDx + joystickDx + shell.dx;
+    let screenDy = keys.screenDy + joystickDy + shell.dy;
+    let moveY = keyboardVertical() + shell.vertical;
+    let jump = jumpQueued;
+    let jumpHeldNow = isJumpHeld() || jumpQueued;
+    let sprint = sprintHeld || shell.sprint;
+    let lx = lookX;
+    let ly = lookY;
+
+    for (const source of sources) {
+      const s = source();
+      if (!s) continue;
+      screenDx += s.screenDx ?? 0;
+      screenDy += s.screenDy ?? 0;
+      moveY += s.moveY ?? 0;
+      jump = jump || s.jump === true;
+      jumpHeldNow = jumpHeldNow || s.jumpHeld === true || s.jump === true;
+      sprint = sprint || s.sprint === true;
+      lx += s.lookX ?? 0;
+      ly += s.lookY ?? 0;
+    }
+
+    jumpQueued = false;
+    lookX = 0;
+    lookY = 0;
+
+    const dir = screenToWorldVector(screenDx, screenDy, cameraOrbitAngle);
+
+    return {
+      moveX: dir.dx,
+      moveZ: dir.dz,
+      moveY: Math.max(-1, Math.min(1, moveY)),
+      jump,
+      jumpHeld: jumpHeldNow,
+      sprint,
+      look: { x: lx, y: ly },
+    };
+  }
+
+  /**
+   * Check if jump is currently held (keyboard or shell)
+   * @returns {boolean}
+   */
+  function isJumpHeld() {
+    return jumpHeld || shell.jump;
+  }
+
+  /**
+   * Set callback for non-movement actions (chat, ping, toggleFirstPerson)
+   * @param {Function} callback - Function(action, event)
+   */
+  function setOnAction(callback) {
+    onAction = callback;
+  }
+
+  /**
+   * Remove all DOM listeners and reset state
+   */
+  function dispose() {
+    for (const [el, type, handler] of listeners) {
+      el.removeEventListener(type, handler);
+    }
+    listeners.length = 0;
+    sources.clear();
+    onBlur();
+    clearJoystick();
+    jumpQueued = false;
+    lookX = 0;
+    lookY = 0;
+    shell = { dx: 0, dy: 0, jump: false, sprint: false, vertical: 0 };
+  }
+
+  return {
+    poll,
+    setJoystick,
+    clearJoystick,
+    pressJump,
+    setSprint,
+    addLook,
+    addSource,
+    isJumpHeld,
+    setOnAction,
+    dispose,
+  };
+}
@@ -0,0 +1,370 @@
+import * as THREE from "three";
+
+/**
+ * Mesh collision for non-box shapes (bridges, lilypads, stairs, the Pochi platform).
+ * Registered THREE meshes are baked to world-space triangles in a uniform XZ
+ * grid. Provides a raycast ground probe (with step-up and max walkable slope)
+ * and a capsule sweep for walls, both shaped as updateMovement callbacks.
+ */
+
+// Scratch objects (avoid per-frame allocations)
+const _p = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _tri = new THREE.Triangle();
+
+function setGround(state, nx, ny, nz, slope, mesh) {
+  state.groundNormal.x = nx;
+  state.groundNormal.y = ny;
+  state.groundNormal.z = nz;
+  state.groundSlope = slope;
+  state.groundMesh = mesh;
+}
+
+/**
+ * Create a mesh collision world
+ * @param {Object} options - Configuration
+ * @param {number} options.cellSize - Grid cell size in world units (default 2)
+ * @param {number} options.stepHeight - Max ledge the player steps up onto (default 0.35)
+ * @param {number} options.maxSlope - Max walkable slope in radians (default 45°)
+ * @param {number} options.radius - Capsule radius (default 0.35)
+ * @returns {Object} Mesh collision API
+ */
+export function createMeshCollisionWorld(options = {}) {
+  const cellSize = options.cellSize ?? 2;
+  let stepHeight = options.stepHeight ?? 0.35;
+  let maxSlope = options.maxSlope ?? Math.PI / 4;
+  const defaultRadius = options.radius ?? 0.35;
+
+  let minWalkableY = Math.cos(maxSlope);
+
+  const meshes = new Map(); // mesh -> triangle list
+  const cells = new Map();  // "cx,cz" -> triangle list
+  let queryStamp = 0;
+
+  function cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  /**
+   * Bake a mesh's geometry into world-space triangles
+   */
+  function bakeTriangles(mesh) {
+    mesh.updateWorldMatrix(true, false);
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const triangles = [];
+
+    for (let i = 0; i + 2 < count; i += 3) {
+      const ia = index ? index.getX(i) : i;
+      const ib = index ? index.getX(i + 1) : i + 1;
+      const ic = index ? index.getX(i + 2) : i + 2;
+      const a = new THREE.Vector3().fromBufferAttribute(position, ia).applyMatrix4(mesh.matrixWorld);
+      const b = new THREE.Vector3().fromBufferAttribute(position, ib).applyMatrix4(mesh.matrixWorld);
+      const c = new THREE.Vector3().fromBufferAttribute(position, ic).applyMatrix4(mesh.matrixWorld);
+
+      const normal = new THREE.Vector3();
+      THREE.Triangle.getNormal(a, b, c, normal);
+      if (normal.lengthSq() === 0) continue; // Degenerate
+
+      triangles.push({
+        a, b, c, normal, mesh,
+        minX: Math.min(a.x, b.x, c.x),
+        maxX: Math.max(a.x, b.x, c.x),
+        minZ: Math.min(a.z, b.z, c.z),
+        maxZ: Math.max(a.z, b.z, c.z),
+        stamp: 0,
+      });
+    }
+    return triangles;
+  }
+
+  function forEachCell(minX, minZ, maxX, maxZ, fn) {
+    const x0 = Math.floor(minX / cellSize);
+    const x1 = Math.floor(maxX / cellSize);
+    const z0 = Math.floor(minZ / cellSize);
+    const z1 = Math.floor(maxZ / cellSize);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cz = z0; cz <= z1; cz++) {
+        fn(cellKey(cx, cz));
+      }
+    }
+  }
+
+  function index(triangles) {
+    for (const t of triangles) {
+      forEachCell(t.minX, t.minZ, t.maxX, t.maxZ, (key) => {
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(t);
+      });
+    }
+  }
+
+  function unindex(triangles) {
+    for (const t of triangles) {
+      forEachCell(t.minX, t.minZ, t.maxX, t.maxZ, (key) => {
+        const list = cells.get(key);
+        if (!list) return;
+        const i = list.indexOf(t);
+        if (i !== -1) list.splice(i, 1);
+        if (list.length === 0) cells.delete(key);
+      });
+    }
+  }
+
+  function query(minX, minZ, maxX, maxZ) {
+    queryStamp++;
+    const out = [];
+    forEachCell(minX, minZ, maxX, maxZ, (key) => {
+      const list = cells.get(key);
+      if (!list) return;
+      for (const t of list) {
+        if (t.stamp === queryStamp) continue;
+        t.stamp = queryStamp;
+        if (t.maxX < minX || t.minX > maxX || t.maxZ < minZ || t.minZ > maxZ) continue;
+        out.push(t);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Register a mesh, or every mesh under an Object3D (createBridge, createPochiPlatform...)
+   * @param {THREE.Object3D} object - Mesh or group
+   */
+  function add(object) {
+    object.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes?.position || meshes.has(child)) return;
+      const triangles = bakeTriangles(child);
+      meshes.set(child, triangles);
+      index(triangles);
+    });
+  }
+
+  /**
+   * Unregister a mesh or group
+   * @param {THREE.Object3D} object - Mesh or group passed to add()
+   */
+  function remove(object) {
+    object.traverse((child) => {
+      const triangles = meshes.get(child);
+      if (!triangles) return;
+      unindex(triangles);
+      meshes.delete(child);
+    });
+  }
+
+  /**
+   * Re-bake a mesh or group after it moved (static geometry is baked once)
+   * @param {THREE.Object3D} object - Mesh or group passed to add()
+   */
+  function refresh(object) {
+    remove(object);
+    add(object);
+  }
+
+  /**
+   * Remove all meshes
+   */
+  function clear() {
+    meshes.clear();
+    cells.clear();
+  }
+
+  /**
+   * Check if a surface normal is walkable. Only upward-facing surfaces count:
+   * ceilings and overhangs block instead (wind floors counter-clockwise seen from above).
+   * @param {THREE.Vector3} normal - Surface normal
+   * @returns {boolean}
+   */
+  function isWalkable(normal) {
+    return normal.y >= minWalkableY;
+  }
+
+  /**
+   * Height of a triangle at (x, z), or null if (x, z) is outside it (XZ barycentric test)
+   */
+  function heightOnTriangle(t, x, z) {
+    const { a, b, c } = t;
+    const v0x = c.x - a.x, v0z = c.z - a.z;
+    const v1x = b.x - a.x, v1z = b.z - a.z;
+    const v2x = x - a.x, v2z = z - a.z;
+
+    const denom = v0x * v1z - v1x * v0z;
+    if (Math.abs(denom) < 1e-9) return null; // Vertical triangle
+
+    const u = (v2x * v1z - v1x * v2z) / denom;
+    const v = (v0x * v2z - v2x * v0z) / denom;
+    if (u < 0 || v < 0 || u + v > 1) return null;
+
+    return a.y + u * (c.y - a.y) + v * (b.y - a.y);
+  }
+
+  /**
+   * Cast a ray straight down to find walkable ground.
+   * Starts stepHeight above fromY, so ledges up to stepHeight are found (step-up).
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} fromY - Feet height to probe from
+   * @returns {Object|null} { height, normal, slope, mesh } or null if nothing walkable below
+   */
+  function probeGround(x, z, fromY) {
+    const top = fromY + stepHeight;
+    let best = null;
+
+    for (const t of query(x, z, x, z)) {
+      if (!isWalkable(t.normal)) continue;
+      const h = heightOnTriangle(t, x, z);
+      if (h === null || h > top) continue;
+      if (!best || h > best.height) best = { height: h, triangle: t };
+    }
+
+    if (!best) return null;
+    const normal = best.triangle.normal.clone();
+    return {
+      height: best.height,
+      normal,
+      slope: Math.acos(Math.min(1, normal.y)),
+      mesh: best.triangle.mesh,
+    };
+  }
+
+  /**
+   * Check if a vertical capsule overlaps any blocking (non-walkable) triangle.
+   * Spheres are sampled from stepHeight above the feet to the top, so steps
+   * below stepHeight never block.
+   * @param {number} x - Capsule X
+   * @param {number} y - Capsule feet Y
+   * @param {number} z - Capsule Z
+   * @param {Object} opts - { radius, height = 1 }
+   * @returns {boolean}
+   */
+  function capsuleBlocked(x, y, z, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+    const height = opts.height ?? 1.0;
+    const bottom = y + stepHeight + radius;
+    const topY = Math.max(bottom, y + height - radius);
+    const samples = Math.max(1, Math.ceil((topY - bottom) / radius));
+    const r2 = radius * radius;
+
+    const candidates = query(x - radius, z - radius, x + radius, z + radius);
+    for (const t of candidates) {
+      if (isWalkable(t.normal)) continue;
+      _tri.set(t.a, t.b, t.c);
+      for (let i = 0; i <= samples; i++) {
+        const sy = bottom + ((topY - bottom) * i) / samples;
+        _p.set(x, sy, z);
+        _tri.closestPointToPoint(_p, _closest);
+        if (_closest.distanceToSquared(_p) < r2) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Sweep a capsule from (x0, z0) to (x1, z1) at feet height y, testing overlap
+   * at sub-steps no longer than the radius so fast moves can't tunnel through
+   * thin walls.
+   * @param {number} x0 - Start X
+   * @param {number} z0 - Start Z
+   * @param {number} x1 - End X
+   * @param {number} z1 - End Z
+   * @param {number} y - Capsule feet Y
+   * @param {Object} opts - { radius, height = 1 }
+   * @returns {boolean} Whether any point along the move is blocked
+   */
+  function sweepBlocked(x0, z0, x1, z1, y, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, z1 - z0) / radius));
+    for (let i = 1; i <= steps; i++) {
+      const u = i / steps;
+      if (capsuleBlocked(x0 + (x1 - x0) * u, y, z0 + (z1 - z0) * u, opts)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Create a getGroundHeight callback for updateMovement.
+   * Combines the game's terrain function with the mesh probe and writes
+   * groundNormal/groundSlope/groundMesh onto the movement state.
+   * @param {Object} state - Movement state
+   * @param {Function} baseGroundHeight - Terrain function(x, z) => height (optional)
+   * @returns {Function} getGroundHeight(x, z)
+   */
+  function createGroundHeightCallback(state, baseGroundHeight = null) {
+    return (x, z) => {
+      const base = baseGroundHeight ? baseGroundHeight(x, z) : -Infinity;
+      const hit = probeGround(x, z, state.y);
+
+      if (hit && hit.height >= base) {
+        setGround(state, hit.normal.x, hit.normal.y, hit.normal.z, hit.slope, hit.mesh);
+        return hit.height;
+      }
+
+      setGround(state, 0, 1, 0, 0, null);
+      return base === -Infinity ? 0 : base;
+    };
+  }
+
+  /**
+   * Create a checkCollision callback for updateMovement (capsule swept from the
+   * current position with sweepBlocked, per-axis slide)
+   * @param {Object} state - Movement state (reads x, y, z, colliderHeight)
+   * @param {Object} opts - { radius }
+   * @returns {Function} checkCollision(x, z, vx, vz)
+   */
+  function createCollisionCallback(state, opts = {}) {
+    const radius = opts.radius ?? defaultRadius;
+
+    return (x, z, vx, vz) => {
+      const q = { radius, height: state.colliderHeight ?? 1.0 };
+      if (!sweepBlocked(state.x, state.z, x, z, state.y, q)) return { blocked: false };
+
+      const xFree = !sweepBlocked(state.x, state.z, x, state.z, state.y, q);
+      const zFree = !sweepBlocked(state.x, state.z, state.x, z, state.y, q);
+      if (xFree && zFree) {
+        return Math.abs(vx) >= Math.abs(vz)
+          ? { blocked: true, slideX: vx, slideZ: undefined }
+          : { blocked: true, slideX: undefined, slideZ: vz };
+      }
+      return {
+        blocked: true,
+        slideX: xFree ? vx : undefined,
+        slideZ: zFree ? vz : undefined,
+      };
+    };
+  }
+
+  /**
+   * Set step-up height
+   * @param {number} value - World units
+   */
+  function setStepHeight(value) {
+    stepHeight = value;
+  }
+
+  /**
+   * Set max walkable slope
+   * @param {number} radians - Slope angle
+   */
+  function setMaxSlope(radians) {
+    maxSlope = radians;
+    minWalkableY = Math.cos(maxSlope);
+  }
+
+  return {
+    add,
+    remove,
+    refresh,
+    clear,
+    isWalkable,
+    probeGround,
+    capsuleBlocked,
+    sweepBlocked,
+    createGroundHeightCallback,
+    createCollisionCallback,
+    setStepHeight,
+    setMaxSlope,
+  };
+}
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { TILE } from "./constants";
+import { getTimeScale } from "./time";
 
 /**
  * Continuous movement system with 360-degree control.
@@ -17,6 +18,15 @@ export const MovementModes = {
     friction: 18,         // How fast to stop
     gravity: 20,          // Fall speed
     turnSpeed: 12,        // Rotation speed (radians/sec)
+    colliderHeight: 1.0,  // Player collider height (units)
+    jumpForce: 8,         // Initial upward velocity for pressJump
+    coyoteTime: 0.1,      // Seconds after leaving ground that a jump still works
+    jumpBuffer: 0.12,     // Seconds a jump press is remembered before landing
+    jumpCutGravity: 2.5,  // Gravity multiplier while rising with jump released
+    airJumps: 0,          // Extra jumps in the air (1 = double jump)
+    maxSpeed: 20,         // Horizontal speed cap including knockback (units/sec)
+    maxFallSpeed: null,   // Downward speed cap (null = uncapped)
+    maxRiseSpeed: 30,     // Upward speed cap (bounce pads, explosions)
   },
   run: {
     speed: 7,
@@ -24,6 +34,31 @@ export const MovementModes = {
     friction: 12,
     gravity: 20,
     turnSpeed: 10,
+    colliderHeight: 1.0,
+    jumpForce: 8.5,
+    coyoteTime: 0.1,
+    jumpBuffer: 0.12,
+    jumpCutGravity: 2.5,
+    airJumps: 0,
+    maxSpeed: 24,
+    maxFallSpeed: null,
+    maxRiseSpeed: 30,
+  },
+  crouch: {
+    speed: 2.2,
+    acceleration: 24,
+    friction: 22,
+    gravity: 20,
+    turnSpeed: 10,
+    colliderHeight: 0.55,
+    jumpForce: 6,
+    coyoteTime: 0.08,
+    jumpBuffer: 0.12,
+    jumpCutGravity: 2.5,
+    airJumps: 0,
+    maxSpeed: 14,
+    maxFallSpeed: null,
+    maxRiseSpeed: 30,
   },
   swim: {
     speed: 3,
@@ -31,6 +66,17 @@ export const MovementModes = {
     friction: 8,
     gravity: 2,
     turnSpeed: 8,
+    colliderHeight: 1.0,
+    jumpForce: 3,         // Swim stroke
+    coyoteTime: 0,
+    jumpBuffer: 0,
+    jumpCutGravity: 1,
+    airJumps: 0,
+    unlimitedAirJumps: true, // Strokes never run out (airJumps is ignored)
+    maxSpeed: 8,
+    maxFallSpeed: 3,      // Water resistance
+    maxRiseSpeed: 6,
+    externalFriction: 3,  // Currents and knockback fade slower in water
   },
   fly: {
     speed: 6,
@@ -38,10 +84,70 @@ export const MovementModes = {
     friction: 10,
     gravity: 0,
     turnSpeed: 10,
+    colliderHeight: 1.0,
     verticalControl: true,
+    verticalSpeed: 4,         // Ascend/descend speed (units/sec)
+    verticalAcceleration: 12, // How fast to reach vertical speed
+    verticalFriction: 8,      // How fast vertical motion stops
+    maxHeight: 60,            // Ceiling (world Y)
+    minHeight: null,          // Floor (world Y) - null = ground height only
+    maxSpeed: 20,
+    maxFallSpeed: null,
+    maxRiseSpeed: 20,
   },
 };
 
+/**
+ * Entry conditions for setMovementMode.
+ * Each receives (state, context) and returns whether the mode may be entered.
+ * Modes without an entry here can always be entered. Games can add or
+ * replace conditions, e.g. ModeConditions.run = (state) => state.stamina > 0.
+ */
+export const ModeConditions = {
+  // Only below the water surface (context.waterHeight)
+  swim: (state, context) => context.waterHeight !== undefined && state.y < context.waterHeight,
+  // Only when the game/shell allows it (context.flyAllowed)
+  fly: (state, context) => context.flyAllowed === true,
+  // Only from the ground
+  crouch: (state) => state.grounded,
+};
+
+// Jump settings used when a config doesn't define them (custom configs)
+const JUMP_DEFAULTS = {
+  jumpForce: 8,
+  coyoteTime: 0.1,
+  jumpBuffer: 0.12,
+  jumpCutGravity: 2.5,
+  airJumps: 0,
+  unlimitedAirJumps: false,
+};
+
+// External force settings used when a config doesn't define them.
+// Velocity caps default to null (uncapped) so custom configs behave as before.
+export const FORCE_DEFAULTS = {
+  externalFriction: 6,         // Decay rate of knockback/force velocity on the ground
+  externalAirDrag: 0.5,        // Decay rate of knockback/force velocity in the air
+  controlLossInputScale: 0.2,  // Input/friction strength while controlLossTimer > 0
+  maxSpeed: null,
+  maxFallSpeed: null,
+  maxRiseSpeed: null,
+};
+
+// Config keys that blend smoothly between modes (others switch instantly)
+const BLEND_KEYS = ["speed", "acceleration", "friction", "gravity", "turnSpeed", "colliderHeight"];
+
+/**
+ * Find the preset name for a config object
+ * @param {Object} config - Movement config
+ * @returns {string} Mode name, or "custom" if not a preset
+ */
+function modeNameFor(config) {
+  for (const name of Object.keys(MovementModes)) {
+    if (MovementModes[name] === config) return name;
+  }
+  return "custom";
+}
+
 /**
  * Create movement state object
  * @param {Object} config - Movement configuration
@@ -62,6 +168,7 @@ export function createMovementState(config = MovementModes.walk) {
     // Input direction (normalized, from joystick/keyboard)
     inputX: 0,
     inputZ: 0,
+    inputY: 0,         // Vertical input (-1 to 1), used when config.verticalControl
 
     // Facing direction (radians)
     rotation: 0,
@@ -70,8 +177,36 @@ export function createMovementState(config = MovementModes.walk) {
     // Ground state
     grounded: true,
     groundHeight: 0,
+    groundNormal: { x: 0, y: 1, z: 0 }, // Surface normal under the player (mesh collision)
+    groundSlope: 0,                     // Slope angle in radians
+    groundMesh: null,                   // Mesh being stood on, if any
+
+    // Moving platforms (see createPlatformWorld)
+    platform: null,                          // Platform being stood on, if any
+    platformVelocity: { x: 0, y: 0, z: 0 },  // Platform momentum, kept while airborne
+
+    // External forces (see applyImpulse/applyForce)
+    externalVx: 0,       // Knockback/force velocity, separate from input velocity
+    externalVz: 0,
+    forceX: 0,           // Acceleration accumulated for the next update
+    forceY: 0,
+    forceZ: 0,
+    controlLossTimer: 0, // > 0 while input is damped (hit reactions)
+
+    // Water (see createWaterWorld)
+    inWater: false,
+    waterHeight: null,   // Surface height under the player, null if dry
+    waterDepth: 0,       // Feet depth below the surface
+
+    // Jump controller (see pressJump/releaseJump)
+    jumpHeld: false,
+    jumpBufferTimer: 0,  // > 0 while a press is waiting to be used
+    coyoteTimer: 0,      // > 0 while a ground jump is still allowed
+    airJumpsUsed: 0,
+    isJumping: false,    // Rising from a pressJump jump (enables jump cut)
 
     // Animation state
+    time: 0,           // Simulation time in seconds (idle bob, ear sway) - scaled, pauses with the sim
     isMoving: false,
     walkCycle: 0,      // For walk animation
     bobAmount: 0,      // Vertical bob while walking
@@ -79,9 +214,20 @@ export function createMovementState(config = MovementModes.walk) {
     // Configuration
     config: { ...config },
 
+    // Mode state machine (see setMovementMode)
+    mode: modeNameFor(config),
+    modeBlend: null,   // { from, to, elapsed, duration } while transitioning
+    colliderHeight: config.colliderHeight ?? 1.0,
+
     // Tile position (for world queries - derived from x,z)
     tileX: 0,
     tileZ: 0,
+
+    // Transform at the start of the last fixed tick (see storePreviousTransform)
+    prevX: 0,
+    prevY: 0,
+    prevZ: 0,
+    prevRotation: 0,
   };
 }
 
@@ -90,8 +236,11 @@ export function createMovementState(config = MovementModes.walk) {
  * @param {Object} state - Movement state
  * @param {number} dx - X direction (-1 to 1)
  * @param {number} dz - Z direction (-1 to 1)
+ * @param {number} dy - Vertical direction (-1 to 1), only used by modes with verticalControl
  */
-export function setInput(state, dx, dz) {
+export function setInput(state, dx, dz, dy = 0) {
+  state.inputY = Math.max(-1, Math.min(1, dy));
+
   // Normalize if magnitude > 1
   const mag = Math.sqrt(dx * dx + dz * dz);
   if (mag > 1) {
@@ -110,10 +259,13 @@ export function setInput(state, dx, dz) {
 export function clearInput(state) {
   state.inputX = 0;
   state.inputZ = 0;
+  state.inputY = 0;
 }
 
 /**
- * Make the player jump (if grounded or very close to ground)
+ * Make the player jump (if grounded or very close to ground).
+ * On a moving platform, call after platforms.carry() so the jump keeps the
+ * platform's current momentum.
  * @param {Object} state - Movement state
  * @param {number} jumpForce - Initial upward velocity (default 8)
  * @returns {boolean} Whether jump was successful
@@ -122,21 +274,235 @@ export function jump(state, jumpForce = 8) {
   // Allow jump if grounded OR very close to ground (coyote time tolerance)
   const nearGround = state.y - state.groundHeight < 0.15;
   if (state.grounded || nearGround) {
-    state.vy = jumpForce;
+    state.vy = jumpForce + takePlatformLift(state);
     state.grounded = false;
+    state.coyoteTimer = 0; // No pressJump coyote jump on top of this one
     return true;
   }
   return false;
 }
 
+/**
+ * Apply an instant velocity change (knockback, explosions, bounce pads).
+ * Horizontal impulse goes to a separate external velocity that input doesn't
+ * lerp away; it fades with config.externalFriction (ground) or externalAirDrag (air).
+ * @param {Object} state - Movement state
+ * @param {number} x - Impulse X (units/sec)
+ * @param {number} y - Impulse Y (units/sec) - positive launches the player off the ground
+ * @param {number} z - Impulse Z (units/sec)
+ * @param {Object} options - { controlLoss = 0 } - seconds of damped input
+ */
+export function applyImpulse(state, x, y, z, options = {}) {
+  state.externalVx += x;
+  state.externalVz += z;
+  state.vy += y;
+
+  if (y > 0) {
+    state.grounded = false;
+    state.isJumping = false; // No jump cut on a launch
+    state.coyoteTimer = 0;
+  }
+
+  loseControl(state, options.controlLoss ?? 0);
+}
+
+/**
+ * Apply a continuous acceleration for the next updateMovement (wind, currents,
+ * conveyors). Call every frame the force acts; forces are cleared after each update.
+ * @param {Object} state - Movement state
+ * @param {number} x - Acceleration X (units/sec²)
+ * @param {number} y - Acceleration Y (units/sec²)
+ * @param {number} z - Acceleration Z (units/sec²)
+ */
+export function applyForce(state, x, y, z) {
+  state.forceX += x;
+  state.forceY += y;
+  state.forceZ += z;
+}
+
+/**
+ * Damp input for a while (stuns, hit reactions). Input and friction act at
+ * config.controlLossInputScale strength until the timer runs out.
+ * Overlapping calls keep the longer duration.
+ * @param {Object} state - Movement state
+ * @param {number} duration - Seconds
+ */
+export function loseControl(state, duration) {
+  state.controlLossTimer = Math.max(state.controlLossTimer, duration);
+}
+
+/**
+ * Press jump (buffered). The jump happens in the next updateMovement where it
+ * is allowed: on the ground, within coyote time, or as an air jump. A press
+ * just before landing is remembered for config.jumpBuffer seconds.
+ * @param {Object} state - Movement state
+ */
+export function pressJump(state) {
+  const bufferTime = state.config.jumpBuffer ?? JUMP_DEFAULTS.jumpBuffer;
+  // Keep the press for at least one update even with no buffer
+  state.jumpBufferTimer = Math.max(bufferTime, Number.EPSILON);
+  state.jumpHeld = true;
+}
+
+/**
+ * Release jump. Releasing while rising applies config.jumpCutGravity for a short hop.
+ * @param {Object} state - Movement state
+ */
+export function releaseJump(state) {
+  state.jumpHeld = false;
+}
+
+/**
+ * Consume a buffered jump press if a jump is allowed (called by updateMovement)
+ * @param {Object} state - Movement state
+ * @param {number} dt - Delta time in seconds
+ */
+function updateJump(state, dt) {
+  const { config } = state;
+  const coyoteTime = config.coyoteTime ?? JUMP_DEFAULTS.coyoteTime;
+  const airJumps = config.airJumps ?? JUMP_DEFAULTS.airJumps;
+  const unlimited = config.unlimitedAirJumps ?? JUMP_DEFAULTS.unlimitedAirJumps;
+  const jumpForce = config.jumpForce ?? JUMP_DEFAULTS.jumpForce;
+
+  if (state.grounded) {
+    state.coyoteTimer = coyoteTime;
+    state.airJumpsUsed = 0;
+  }
+
+  if (state.jumpBufferTimer > 0) {
+    const canGroundJump = state.grounded || state.coyoteTimer > 0;
+    const canAirJump = !canGroundJump && (unlimited || state.airJumpsUsed < airJumps);
+
+    if (canGroundJump || canAirJump) {
+      if (canAirJump && !unlimited) state.airJumpsUsed++;
+      state.vy = canGroundJump ? jumpForce + takePlatformLift(state) : jumpForce;
+      state.grounded = false;
+      state.isJumping = true;
+      state.coyoteTimer = 0;
+      state.jumpBufferTimer = 0;
+    }
+  }
+
+  if (!state.grounded) {
+    state.coyoteTimer = Math.max(0, state.coyoteTimer - dt);
+  }
+  state.jumpBufferTimer = Math.max(0, state.jumpBufferTimer - dt);
+}
+
+/**
+ * Move a rising platform's vertical velocity into the jump (elevators launch
+ * higher). Horizontal platform momentum stays in state.platformVelocity.
+ * @param {Object} state - Movement state
+ * @returns {number} Upward velocity to add
+ */
+function takePlatformLift(state) {
+  const pv = state.platformVelocity;
+  if (!pv) return 0;
+  const lift = Math.max(0, pv.y);
+  pv.y = 0;
+  return lift;
+}
+
+/**
+ * Switch movement mode with a blended transition of speed, acceleration, etc.
+ * Respects ModeConditions and any active tier multipliers.
+ * @param {Object} state - Movement state
+ * @param {string} mode - Mode name from MovementModes (e.g. 'run')
+ * @param {Object} options - { duration = 0.25, force = false, context = {} }
+ *   duration: blend time in seconds (0 = snap)
+ *   force: skip the entry condition
+ *   context: passed to the condition, e.g. { waterHeight, flyAllowed }
+ * @returns {boolean} Whether the mode was entered
+ */
+export function setMovementMode(state, mode, options = {}) {
+  const target = MovementModes[mode];
+  if (!target) {
+    throw new Error(`Unknown movement mode: ${mode}`);
+  }
+  if (state.mode === mode) return true;
+  if (!options.force && !canEnterMode(state, mode, options.context)) return false;
+
+  // Keep distance tier modifiers applied across mode changes
+  const to = {
+    ...target,
+    speed: target.speed * (state.tierSpeedMult ?? 1),
+    gravity: target.gravity * (state.tierGravityMult ?? 1),
+  };
+
+  const duration = options.duration ?? 0.25;
+  state.mode = mode;
+
+  if (duration <= 0) {
+    state.config = { ...to };
+    state.colliderHeight = to.colliderHeight ?? 1.0;
+    state.modeBlend = null;
+    return true;
+  }
+
+  const from = {};
+  for (const key of BLEND_KEYS) {
+    if (key !== "colliderHeight") from[key] = state.config[key];
+  }
+
+  // Non-blended keys (verticalControl, etc.) switch immediately.
+  // colliderHeight blends on the state; config keeps the new mode's value.
+  state.config = { ...to, ...from };
+  state.modeBlend = { from: { ...from, colliderHeight: state.colliderHeight }, to, elapsed: 0, duration };
+  return true;
+}
+
+/**
+ * Check whether a mode's entry condition passes
+ * @param {Object} state - Movement state
+ * @param {string} mode - Mode name
+ * @param {Object} context - Condition context, e.g. { waterHeight, flyAllowed }
+ * @returns {boolean}
+ */
+export function canEnterMode(state, mode, context = {}) {
+  const condition = ModeConditions[mode];
+  return condition ? condition(state, context) === true : true;
+}
+
+/**
+ * Advance an in-progress mode blend (called by updateMovement)
+ * @param {Object} state - Movement state
+ * @param {number} dt - Delta time in seconds
+ */
+function updateModeBlend(state, dt) {
+  const blend = state.modeBlend;
+  if (!blend) return;
+
+  blend.elapsed += dt;
+  const t = Math.min(blend.elapsed / blend.duration, 1);
+  const eased = t * t * (3 - 2 * t);
+
+  for (const key of BLEND_KEYS) {
+    const from = blend.from[key];
+    const to = blend.to[key];
+    if (from === undefined || to === undefined) continue;
+    const value = from + (to - from) * eased;
+    if (key === "colliderHeight") state.colliderHeight = value;
+    else state.config[key] = value;
+  }
+
+  if (t >= 1) state.modeBlend = null;
+}
+
 /**
  * Update movement physics
  * @param {Object} state - Movement state
  * @param {number} dt - Delta time in seconds
  * @param {Function} getGroundHeight - Function(x, z) => height
  * @param {Function} checkCollision - Function(x, z, vx, vz) => { blocked, slideX, slideZ }
+ * @param {number} timeScale - Multiplier for dt (default: global getTimeScale(); 0 = paused)
  */
-export function updateMovement(state, dt, getGroundHeight, checkCollision) {
+export function updateMovement(state, dt, getGroundHeight, checkCollision, timeScale = getTimeScale()) {
+  dt *= timeScale;
+  state.time += dt;
+
+  updateModeBlend(state, dt);
+  updateJump(state, dt);
+
   const { config } = state;
   const hasInput = state.inputX !== 0 || state.inputZ !== 0;
 
@@ -144,26 +510,41 @@ export function updateMovement(state, dt, getGroundHeight, checkCollision) {
   const targetVx = state.inputX * config.speed;
   const targetVz = state.inputZ * config.speed;
 
+  // Control loss damps both steering and braking
+  const control = state.controlLossTimer > 0
+    ? (config.controlLossInputScale ?? FORCE_DEFAULTS.controlLossInputScale)
+    : 1;
+  state.controlLossTimer = Math.max(0, state.controlLossTimer - dt);
+
   // Accelerate toward target velocity or decelerate with friction
   if (hasInput) {
-    state.vx = THREE.MathUtils.lerp(state.vx, targetVx, 1 - Math.exp(-config.acceleration * dt));
-    state.vz = THREE.MathUtils.lerp(state.vz, targetVz, 1 - Math.exp(-config.acceleration * dt));
+    state.vx = THREE.MathUtils.lerp(state.vx, targetVx, 1 - Math.exp(-config.acceleration * control * dt));
+    state.vz = THREE.MathUtils.lerp(state.vz, targetVz, 1 - Math.exp(-config.acceleration * control * dt));
   } else {
-    state.vx = THREE.MathUtils.lerp(state.vx, 0, 1 - Math.exp(-config.friction * dt));
-    state.vz = THREE.MathUtils.lerp(state.vz, 0, 1 - Math.exp(-config.friction * dt));
+    state.vx = THREE.MathUtils.lerp(state.vx, 0, 1 - Math.exp(-config.friction * control * dt));
+    state.vz = THREE.MathUtils.lerp(state.vz, 0, 1 - Math.exp(-config.friction * control * dt));
   }
 
   // Clamp small velocities to zero
   if (Math.abs(state.vx) < 0.01) state.vx = 0;
   if (Math.abs(state.vz) < 0.01) state.vz = 0;
 
-  // Proposed new position
-  let newX = state.x + state.vx * dt;
-  let newZ = state.z + state.vz * dt;
+  updateExternalVelocity(state, dt);
+
+  // Keep a platform's momentum after jumping or walking off it
+  const pv = state.platformVelocity;
+  const carried = pv && !state.grounded;
+
+  // Proposed new position (input velocity + knockback/forces + platform momentum),
+  // all of it resolved against collisions
+  const moveVx = state.vx + state.externalVx + (carried ? pv.x : 0);
+  const moveVz = state.vz + state.externalVz + (carried ? pv.z : 0);
+  let newX = state.x + moveVx * dt;
+  let newZ = state.z + moveVz * dt;
 
   // Collision detection
   if (checkCollision) {
-    const collision = checkCollision(newX, newZ, state.vx, state.vz);
+    const collision = checkCollision(newX, newZ, moveVx, moveVz);
     if (collision.blocked) {
       // Apply slide if provided, otherwise stop
       if (collision.slideX !== undefined) {
@@ -171,12 +552,16 @@ export function updateMovement(state, dt, getGroundHeight, checkCollision) {
       } else {
         newX = state.x;
         state.vx = 0;
+        state.externalVx = 0;
+        if (pv) pv.x = 0;
       }
       if (collision.slideZ !== undefined) {
         newZ = state.z + collision.slideZ * dt;
       } else {
         newZ = state.z;
         state.vz = 0;
+        state.externalVz = 0;
+        if (pv) pv.z = 0;
       }
     }
   }
@@ -194,24 +579,51 @@ export function updateMovement(state, dt, getGroundHeight, checkCollision) {
     state.groundHeight = getGroundHeight(state.x, state.z);
   }
 
-  // Gravity
-  if (!state.grounded && config.gravity > 0) {
-    state.vy -= config.gravity * dt;
-  }
+  if (config.verticalControl) {
+    updateVerticalControl(state, dt);
+  } else {
+    // Gravity (stronger while rising after an early jump release = short hop)
+    if (!state.grounded && config.gravity > 0) {
+      const jumpCut = state.isJumping && !state.jumpHeld && state.vy > 0;
+      const gravityMult = jumpCut ? (config.jumpCutGravity ?? JUMP_DEFAULTS.jumpCutGravity) : 1;
+      state.vy -= config.gravity * gravityMult * dt;
+    }
 
-  // Apply vertical velocity
-  state.y += state.vy * dt;
+    // Vertical forces (updrafts) - only lift off the ground if stronger than gravity
+    if (state.forceY !== 0 && (!state.grounded || state.forceY > config.gravity)) {
+      state.vy += state.forceY * dt;
+      state.grounded = false;
+    }
+    clampVerticalSpeed(state);
+
+    // Apply vertical velocity
+    state.y += state.vy * dt;
+
+    // Ground collision
+    const groundY = state.groundHeight;
+    if (state.y <= groundY) {
+      state.y = groundY;
+      state.vy = 0;
+      state.grounded = true;
+      state.isJumping = false;
+    } else {
+      state.grounded = false;
+    }
+  }
 
-  // Ground collision
-  const groundY = state.groundHeight;
-  if (state.y <= groundY) {
-    state.y = groundY;
-    state.vy = 0;
-    state.grounded = true;
-  } else {
-    state.grounded = false;
+  // Landed off a platform - momentum is spent. While standing on one, keep it:
+  // carry() refreshes it each frame and a jump() between frames needs it.
+  if (pv && state.grounded && !state.platform) {
+    pv.x = 0;
+    pv.y = 0;
+    pv.z = 0;
   }
 
+  // Forces only last one update
+  state.forceX = 0;
+  state.forceY = 0;
+  state.forceZ = 0;
+
   // Rotation - face movement direction
   const speed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
   state.isMoving = speed > 0.1;
@@ -232,20 +644,145 @@ export function updateMovement(state, dt, getGroundHeight, checkCollision) {
     state.bobAmount = Math.sin(state.walkCycle * 2) * 0.04;
   } else {
     state.walkCycle = 0;
-    state.bobAmount = Math.sin(performance.now() * 0.003) * 0.02; // Idle bob
+    state.bobAmount = Math.sin(state.time * 3) * 0.02; // Idle bob
+  }
+}
+
+/**
+ * Integrate horizontal forces into the external velocity, fade it, and
+ * enforce config.maxSpeed on the combined horizontal velocity.
+ * @param {Object} state - Movement state
+ * @param {number} dt - Delta time in seconds
+ */
+function updateExternalVelocity(state, dt) {
+  const { config } = state;
+
+  state.externalVx += state.forceX * dt;
+  state.externalVz += state.forceZ * dt;
+
+  const drag = state.grounded
+    ? (config.externalFriction ?? FORCE_DEFAULTS.externalFriction)
+    : (config.externalAirDrag ?? FORCE_DEFAULTS.externalAirDrag);
+  const fade = Math.exp(-drag * dt);
+  state.externalVx *= fade;
+  state.externalVz *= fade;
+  if (Math.abs(state.externalVx) < 0.01) state.externalVx = 0;
+  if (Math.abs(state.externalVz) < 0.01) state.externalVz = 0;
+
+  const maxSpeed = config.maxSpeed ?? FORCE_DEFAULTS.maxSpeed;
+  if (maxSpeed !== null) {
+    const vx = state.vx + state.externalVx;
+    const vz = state.vz + state.externalVz;
+    const speed = Math.sqrt(vx * vx + vz * vz);
+    if (speed > maxSpeed) {
+      const scale = maxSpeed / speed;
+      state.vx *= scale;
+      state.vz *= scale;
+      state.externalVx *= scale;
+      state.externalVz *= scale;
+    }
   }
 }
 
 /**
- * Apply movement state to a Three.js object
+ * Clamp vy to config.maxFallSpeed/maxRiseSpeed
+ * @param {Object} state - Movement state
+ */
+function clampVerticalSpeed(state) {
+  const { config } = state;
+  const maxFall = config.maxFallSpeed ?? FORCE_DEFAULTS.maxFallSpeed;
+  const maxRise = config.maxRiseSpeed ?? FORCE_DEFAULTS.maxRiseSpeed;
+  if (maxFall !== null && state.vy < -maxFall) state.vy = -maxFall;
+  if (maxRise !== null && state.vy > maxRise) state.vy = maxRise;
+}
+
+/**
+ * Ascend/descend for modes with verticalControl (fly).
+ * vy eases toward inputY * verticalSpeed, and y is clamped between
+ * the floor (ground or config.minHeight) and config.maxHeight.
+ * @param {Object} state - Movement state
+ * @param {number} dt - Delta time in seconds
+ */
+function updateVerticalControl(state, dt) {
+  const { config } = state;
+  const verticalSpeed = config.verticalSpeed ?? config.speed;
+
+  if (state.inputY !== 0) {
+    const rate = config.verticalAcceleration ?? config.acceleration;
+    state.vy = THREE.MathUtils.lerp(state.vy, state.inputY * verticalSpeed, 1 - Math.exp(-rate * dt));
+  } else {
+    const rate = config.verticalFriction ?? config.friction;
+    state.vy = THREE.MathUtils.lerp(state.vy, 0, 1 - Math.exp(-rate * dt));
+    if (Math.abs(state.vy) < 0.01) state.vy = 0;
+  }
+
+  state.vy += state.forceY * dt;
+  clampVerticalSpeed(state);
+  state.y += state.vy * dt;
+
+  const floor = Math.max(state.groundHeight, config.minHeight ?? -Infinity);
+  const ceiling = config.maxHeight ?? Infinity;
+
+  if (state.y >= ceiling) {
+    state.y = ceiling;
+    if (state.vy > 0) state.vy = 0;
+  }
+  if (state.y <= floor) {
+    state.y = floor;
+    if (state.vy < 0) state.vy = 0;
+  }
+  state.grounded = state.y <= state.groundHeight && state.vy <= 0;
+}
+
+/**
+ * Remember the current transform as the "previous tick" for interpolation.
+ * The fixed-step runner calls this before every tick; call it yourself after
+ * teleporting so the object doesn't smear across the jump.
+ * @param {Object} state - Movement state
+ */
+export function storePreviousTransform(state) {
+  state.prevX = state.x;
+  state.prevY = state.y;
+  state.prevZ = state.z;
+  state.prevRotation = state.rotation;
+}
+
+/**
+ * Apply movement position and facing to a Three.js object, without any pose.
+ * Use with an animation controller (createAnimationController) instead of applyToObject.
  * @param {Object} state - Movement state
  * @param {THREE.Object3D} object - Object to update
+ * @param {number} alpha - Interpolation between previous and current tick (0-1, default 1 = current)
+ * @param {number} offsetY - Height of the object's origin above the feet (default 0.25, the bunny's)
  */
-export function applyToObject(state, object) {
-  object.position.x = state.x;
-  object.position.y = state.y + 0.25 + state.bobAmount; // Base offset + bob
-  object.position.z = state.z;
-  object.rotation.y = state.rotation;
+export function applyTransform(state, object, alpha = 1, offsetY = 0.25) {
+  if (alpha < 1) {
+    let rotDiff = state.rotation - state.prevRotation;
+    while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+    while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+
+    object.position.x = THREE.MathUtils.lerp(state.prevX, state.x, alpha);
+    object.position.y = THREE.MathUtils.lerp(state.prevY, state.y, alpha) + offsetY;
+    object.position.z = THREE.MathUtils.lerp(state.prevZ, state.z, alpha);
+    object.rotation.y = state.prevRotation + rotDiff * alpha;
+  } else {
+    object.position.x = state.x;
+    object.position.y = state.y + offsetY;
+    object.position.z = state.z;
+    object.rotation.y = state.rotation;
+  }
+}
+
+/**
+ * Apply movement state to a Three.js object (position plus the bunny's bob,
+ * tilt and squash)
+ * @param {Object} state - Movement state
+ * @param {THREE.Object3D} object - Object to update
+ * @param {number} alpha - Interpolation between previous and current tick (0-1, default 1 = current)
+ */
+export function applyToObject(state, object, alpha = 1) {
+  applyTransform(state, object, alpha);
+  object.position.y += state.bobAmount;
 
   // Walking animation - slight tilt and squash
   if (state.isMoving) {
@@ -274,7 +811,7 @@ export function applyEarAnimation(state, ears) {
     ears.earL.rotation.z = 0.15 + flop;
     ears.earR.rotation.z = -0.15 - flop;
   } else {
-    const t = performance.now() * 0.004;
+    const t = state.time * 4;
     ears.earL.rotation.z = 0.15 + Math.sin(t) * 0.06;
     ears.earR.rotation.z = -0.15 - Math.cos(t) * 0.06;
   }
@@ -293,13 +830,35 @@ export function resetMovement(state) {
   state.vz = 0;
   state.inputX = 0;
   state.inputZ = 0;
+  state.inputY = 0;
   state.rotation = 0;
   state.targetRotation = 0;
   state.grounded = true;
+  state.groundNormal = { x: 0, y: 1, z: 0 };
+  state.groundSlope = 0;
+  state.groundMesh = null;
+  state.platform = null;
+  state.platformVelocity = { x: 0, y: 0, z: 0 };
+  state.externalVx = 0;
+  state.externalVz = 0;
+  state.forceX = 0;
+  state.forceY = 0;
+  state.forceZ = 0;
+  state.controlLossTimer = 0;
+  state.inWater = false;
+  state.waterHeight = null;
+  state.waterDepth = 0;
+  state.jumpHeld = false;
+  state.jumpBufferTimer = 0;
+  state.coyoteTimer = 0;
+  state.airJumpsUsed = 0;
+  state.isJumping = false;
   state.isMoving = false;
   state.walkCycle = 0;
+  state.time = 0;
   state.tileX = 0;
   state.tileZ = 0;
+  storePreviousTransform(state);
 }
 
 /**
@@ -307,7 +866,8 @@ export function resetMovement(state) {
  * Call this when player enters a new distance tier
  * @param {Object} state - Movement state
  * @param {Object} tierModifiers - { gravityMult, speedMult } from tier
- * @param {Object} baseConfig - Original config to multiply against (default: walk)
+ * @param {Object} baseConfig - Original config to multiply against (default walk; pass
+ *   MovementModes[state.mode] to scale the current mode instead)
  */
 export function applyTierModifiers(state, tierModifiers, baseConfig = MovementModes.walk) {
   const gravityMult = tierModifiers.gravityMult || 1.0;
@@ -316,6 +876,12 @@ export function applyTierModifiers(state, tierModifiers, baseConfig = MovementMo
   state.config.gravity = baseConfig.gravity * gravityMult;
   state.config.speed = baseConfig.speed * speedMult;
 
+  // Retarget an in-progress mode blend so it doesn't overwrite the new values
+  if (state.modeBlend) {
+    state.modeBlend.to.gravity = state.config.gravity;
+    state.modeBlend.to.speed = state.config.speed;
+  }
+
   // Store current multipliers for reference
   state.tierGravityMult = gravityMult;
   state.tierSpeedMult = speedMult;
@@ -0,0 +1,259 @@
+import * as THREE from "three";
+import { getTimeScale } from "./time";
+
+/**
+ * Moving platforms (lilypads, Pochi rings, elevators, boats).
+ * Registered objects are sampled once per frame; the change in their world
+ * matrix is the platform's delta transform. A grounded rider is carried by
+ * that delta (translation and yaw), and keeps the platform's velocity as
+ * state.platformVelocity after jumping or walking off.
+ *
+ * Per frame:
+ *   animatePochiPlatform(...)          // move the platforms
+ *   platforms.update(dt)               // sample deltas
+ *   platforms.carry(state, dt)         // move riders
+ *   jump(state)                        // legacy jump goes here, after carry
+ *   updateMovement(state, dt, platforms.createGroundHeightCallback(state, terrain), ...)
+ */
+
+// Scratch objects (avoid per-frame allocations)
+const _inverse = new THREE.Matrix4();
+const _p = new THREE.Vector3();
+const _q = new THREE.Quaternion();
+const _s = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, "YXZ");
+const _box = new THREE.Box3();
+
+/**
+ * Local-space bounds of an object's meshes
+ */
+function computeLocalBounds(object) {
+  object.updateWorldMatrix(true, true);
+  _inverse.copy(object.matrixWorld).invert();
+
+  const bounds = new THREE.Box3();
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    _box.copy(child.geometry.boundingBox).applyMatrix4(child.matrixWorld).applyMatrix4(_inverse);
+    bounds.union(_box);
+  });
+  return bounds;
+}
+
+/**
+ * Create a platform world
+ * @param {Object} options - { stepHeight = 0.3 } - how far above the feet a platform top is still stepped onto
+ * @returns {Object} Platform world API
+ */
+export function createPlatformWorld(options = {}) {
+  const stepHeight = options.stepHeight ?? 0.3;
+  const platforms = new Map(); // object -> platform
+
+  /**
+   * Register a moving object as a platform
+   * @param {THREE.Object3D} object - Platform object (animated by the game)
+   * @param {Object} opts - { shape = "box", padding = 0, top, data }
+   *   shape: "box" uses the local XZ bounds, "circle" the inscribed radius (lilypads, rings)
+   *   top: local Y of the walkable surface (default: top of the bounds)
+   * @returns {Object} Platform { object, shape, velocity, deltaYaw, data }
+   */
+  function add(object, opts = {}) {
+    if (platforms.has(object)) return platforms.get(object);
+
+    const padding = opts.padding ?? 0;
+    const bounds = computeLocalBounds(object);
+    if (bounds.isEmpty()) return null;
+
+    const platform = {
+      object,
+      shape: opts.shape ?? "box",
+      minX: bounds.min.x - padding,
+      maxX: bounds.max.x + padding,
+      minZ: bounds.min.z - padding,
+      maxZ: bounds.max.z + padding,
+      centerX: (bounds.min.x + bounds.max.x) / 2,
+      centerZ: (bounds.min.z + bounds.max.z) / 2,
+      radius: Math.min(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z) / 2 + padding,
+      top: opts.top ?? bounds.max.y,
+      data: opts.data ?? null,
+      previous: object.matrixWorld.clone(),
+      delta: new THREE.Matrix4(),
+      deltaYaw: 0,
+      velocity: new THREE.Vector3(), // Velocity of the platform origin (units/sec)
+    };
+    platforms.set(object, platform);
+    return platform;
+  }
+
+  /**
+   * Unregister a platform
+   * @param {THREE.Object3D} object - Object passed to add()
+   */
+  function remove(object) {
+    platforms.delete(object);
+  }
+
+  /**
+   * Remove all platforms
+   */
+  function clear() {
+    platforms.clear();
+  }
+
+  /**
+   * Get the platform registered for an object
+   * @param {THREE.Object3D} object - Platform object
+   * @returns {Object|null}
+   */
+  function getPlatform(object) {
+    return platforms.get(object) ?? null;
+  }
+
+  /**
+   * Sample every platform's delta transform since the last update.
+   * Call once per frame after animating the platforms.
+   * Velocities are per second of sim time, matching updateMovement.
+   * @param {number} dt - Delta time in seconds
+   * @param {number} timeScale - Multiplier for dt (default: global getTimeScale(); 0 = paused)
+   */
+  function update(dt, timeScale = getTimeScale()) {
+    dt *= timeScale;
+    for (const platform of platforms.values()) {
+      const { object, previous, delta } = platform;
+      object.updateWorldMatrix(true, false);
+
+      // delta = current * previous^-1 (maps last frame's world points to this frame's)
+      _inverse.copy(previous).invert();
+      delta.multiplyMatrices(object.matrixWorld, _inverse);
+
+      delta.decompose(_p, _q, _s);
+      _euler.setFromQuaternion(_q, "YXZ");
+      platform.deltaYaw = _euler.y;
+
+      _p.setFromMatrixPosition(object.matrixWorld);
+      const prevX = previous.elements[12];
+      const prevY = previous.elements[13];
+      const prevZ = previous.elements[14];
+      if (dt > 0) {
+        platform.velocity.set((_p.x - prevX) / dt, (_p.y - prevY) / dt, (_p.z - prevZ) / dt);
+      } else {
+        platform.velocity.set(0, 0, 0);
+      }
+
+      previous.copy(object.matrixWorld);
+    }
+  }
+
+  /**
+   * World height of a platform's surface at (x, z), or null if (x, z) is off it
+   * @param {Object} platform - Platform
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number|null}
+   */
+  function surfaceHeight(platform, x, z) {
+    const { object } = platform;
+    _inverse.copy(object.matrixWorld).invert();
+    _p.set(x, 0, z).applyMatrix4(_inverse);
+
+    if (platform.shape === "circle") {
+      const dx = _p.x - platform.centerX;
+      const dz = _p.z - platform.centerZ;
+      if (dx * dx + dz * dz > platform.radius * platform.radius) return null;
+    } else if (_p.x < platform.minX || _p.x > platform.maxX || _p.z < platform.minZ || _p.z > platform.maxZ) {
+      return null;
+    }
+
+    _p.y = platform.top;
+    return _p.applyMatrix4(object.matrixWorld).y;
+  }
+
+  /**
+   * Find the highest platform surface under (x, z) that is at most stepHeight above fromY
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} fromY - Feet height
+   * @returns {Object|null} { height, platform }
+   */
+  function heightAt(x, z, fromY) {
+    let best = null;
+    for (const platform of platforms.values()) {
+      const height = surfaceHeight(platform, x, z);
+      if (height === null || height > fromY + stepHeight) continue;
+      if (!best || height > best.height) best = { height, platform };
+    }
+    return best;
+  }
+
+  /**
+   * Create a getGroundHeight callback for updateMovement.
+   * Combines the game's ground function with platform surfaces and records
+   * the platform under the player as state.platform.
+   * @param {Object} state - Movement state
+   * @param {Function} baseGroundHeight - Function(x, z) => height (optional, e.g. a mesh collision callback)
+   * @returns {Function} getGroundHeight(x, z)
+   */
+  function createGroundHeightCallback(state, baseGroundHeight = null) {
+    return (x, z) => {
+      const base = baseGroundHeight ? baseGroundHeight(x, z) : 0;
+      const hit = heightAt(x, z, state.y);
+      if (hit && hit.height >= base) {
+        state.platform = hit.platform;
+        return hit.height;
+      }
+      state.platform = null;
+      return base;
+    };
+  }
+
+  /**
+   * Carry a grounded rider with its platform's delta transform.
+   * Call after update() and before updateMovement.
+   * @param {Object} state - Movement state
+   * @param {number} dt - Delta time in seconds
+   * @param {number} timeScale - Multiplier for dt (default: global getTimeScale(); 0 = paused)
+   * @returns {boolean} Whether the player was carried
+   */
+  function carry(state, dt, timeScale = getTimeScale()) {
+    dt *= timeScale;
+    const platform = state.platform;
+    if (!platform || !state.grounded || !platforms.has(platform.object)) return false;
+
+    _p.set(state.x, state.y, state.z).applyMatrix4(platform.delta);
+
+    if (dt > 0) {
+      state.platformVelocity.x = (_p.x - state.x) / dt;
+      state.platformVelocity.y = (_p.y - state.y) / dt;
+      state.platformVelocity.z = (_p.z - state.z) / dt;
+    }
+
+    state.x = _p.x;
+    state.y = _p.y;
+    state.z = _p.z;
+    state.groundHeight = _p.y;
+    state.rotation += platform.deltaYaw;
+    state.targetRotation += platform.deltaYaw;
+    return true;
+  }
+
+  /**
+   * Get number of registered platforms
+   * @returns {number}
+   */
+  function size() {
+    return platforms.size;
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    getPlatform,
+    update,
+    heightAt,
+    createGroundHeightCallback,
+    carry,
+    size,
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Pointer-lock mouse look for first-person mode.
+ * Requests pointer lock on enter, releases it on exit, and routes mouse
+ * deltas into the first-person state. Falls back to click-and-drag look
+ * when pointer lock is unavailable or denied (iframes without
+ * allow="pointer-lock", Safari quirks, user dismissed the prompt).
+ */
+
+import { applyFirstPersonLook, enterFirstPerson, exitFirstPerson } from "./firstPersonCamera";
+
+const BASE_SENSITIVITY = 0.003; // Radians per pixel at sensitivity 1
+
+// Some browsers report one huge movementX/Y right after locking
+// (Chrome on Windows, Firefox on high-DPI) - deltas above this are dropped
+const MAX_LOCKED_DELTA = 250;
+
+/**
+ * Create a pointer-lock look controller
+ * @param {HTMLElement} element - Element to lock (usually the renderer canvas)
+ * @param {Object} fpState - First-person state from createFirstPersonState()
+ * @param {Object} options - Configuration
+ * @param {number} options.sensitivity - Look speed multiplier (default 1)
+ * @param {boolean} options.invertY - Invert vertical look
+ * @param {boolean} options.exitOnUnlock - Leave first-person when the user presses Esc (default true)
+ * @param {Function} options.onLockChange - Function(locked)
+ * @param {Function} options.onFallback - Function() called when drag-look is used instead of lock
+ * @returns {Object} Pointer-lock controller API
+ */
+export function createPointerLockController(element, fpState, options = {}) {
+  let sensitivity = options.sensitivity ?? 1;
+  let invertY = options.invertY ?? false;
+  const exitOnUnlock = options.exitOnUnlock ?? true;
+  const { onLockChange, onFallback } = options;
+
+  let locked = false;
+  let dragFallback = false; // True once pointer lock was denied
+  let dragging = false;
+  let lastDrag = null;      // { x, y }
+  let skipNextMove = false; // Drop the first event after locking
+  let exitingOnPurpose = false;
+
+  const supported = typeof element.requestPointerLock === "function";
+
+  function look(dx, dy) {
+    applyFirstPersonLook(fpState, dx, invertY ? -dy : dy, BASE_SENSITIVITY * sensitivity);
+  }
+
+  function useFallback() {
+    if (dragFallback) return;
+    dragFallback = true;
+    if (onFallback) onFallback();
+  }
+
+  function requestLock() {
+    if (!supported) {
+      useFallback();
+      return;
+    }
+    try {
+      // Newer browsers return a Promise that rejects when denied
+      const result = element.requestPointerLock();
+      if (result && typeof result.catch === "function") {
+        result.catch(() => useFallback());
+      }
+    } catch (e) {
+      useFallback();
+    }
+  }
+
+  function onPointerLockChange() {
+    const nowLocked = document.pointerLockElement === element;
+    if (nowLocked === locked) return;
+    locked = nowLocked;
+    skipNextMove = locked;
+    if (locked) dragFallback = false;
+    if (onLockChange) onLockChange(locked);
+
+    // User pressed Esc - browser released the lock without us asking
+    if (!locked && !exitingOnPurpose && exitOnUnlock && fpState.enabled) {
+      exitFirstPerson(fpState);
+    }
+    exitingOnPurpose = false;
+  }
+
+  function onPointerLockError() {
+    useFallback();
+  }
+
+  function onMouseMove(e) {
+    if (!fpState.enabled) return;
+
+    if (locked) {
+      if (skipNextMove) {
+        skipNextMove = false;
+        return;
+      }
+      const dx = e.movementX || 0;
+      const dy = e.movementY || 0;
+      if (Math.abs(dx) > MAX_LOCKED_DELTA || Math.abs(dy) > MAX_LOCKED_DELTA) return;
+      look(dx, dy);
+      return;
+    }
+
+    if (dragFallback && dragging && lastDrag) {
+      look(e.clientX - lastDrag.x, e.clientY - lastDrag.y);
+      lastDrag = { x: e.clientX, y: e.clientY };
+    }
+  }
+
+  function onMouseDown(e) {
+    if (!fpState.enabled) return;
+    if (dragFallback) {
+      dragging = true;
+      lastDrag = { x: e.clientX, y: e.clientY };
+    } else if (!locked) {
+      // Lock was lost (Esc with exitOnUnlock off) - clicking re-locks.
+      // Must happen inside a user gesture, which mousedown is.
+      requestLock();
+    }
+  }
+
+  function onMouseUp() {
+    dragging = false;
+    lastDrag = null;
+  }
+
+  document.addEventListener("pointerlockchange", onPointerLockChange);
+  document.addEventListener("pointerlockerror", onPointerLockError);
+  document.addEventListener("mousemove", onMouseMove);
+  element.addEventListener("mousedown", onMouseDown);
+  window.addEventListener("mouseup", onMouseUp);
+
+  /**
+   * Enter first-person mode and request pointer lock.
+   * Call from a user gesture (click/keydown) or the browser will deny the lock.
+   * @param {Object} cameraState - Third-person camera state (for initial yaw)
+   */
+  function enter(cameraState) {
+    enterFirstPerson(fpState, cameraState);
+    requestLock();
+  }
+
+  /**
+   * Exit first-person mode and release pointer lock
+   */
+  function exit() {
+    exitFirstPerson(fpState);
+    dragging = false;
+    lastDrag = null;
+    if (locked && document.exitPointerLock) {
+      exitingOnPurpose = true;
+      document.exitPointerLock();
+    }
+  }
+
+  /**
+   * Set look sensitivity multiplier
+   * @param {number} value - Multiplier (1 = default)
+   */
+  function setSensitivity(value) {
+    sensitivity = value;
+  }
+
+  /**
+   * Set invert-Y
+   * @param {boolean} value - Whether vertical look is inverted
+   */
+  function setInvertY(value) {
+    invertY = value;
+  }
+
+  /**
+   * Check if pointer is currently locked
+   * @returns {boolean}
+   */
+  function isLocked() {
+    return locked;
+  }
+
+  /**
+   * Check if drag-look fallback is active
+   * @returns {boolean}
+   */
+  function isUsingFallback() {
+    return dragFallback;
+  }
+
+  /**
+   * Remove listeners and release the lock
+   */
+  function dispose() {
+    if (locked && document.exitPointerLock) {
+      exitingOnPurpose = true;
+      document.exitPointerLock();
+    }
+    document.removeEventListener("pointerlockchange", onPointerLockChange);
+    document.removeEventListener("pointerlockerror", onPointerLockError);
+    document.removeEventListener("mousemove", onMouseMove);
+    element.removeEventListener("mousedown", onMouseDown);
+    window.removeEventListener("mouseup", onMouseUp);
+  }
+
+  return {
+    enter,
+    exit,
+    setSensitivity,
+    setInvertY,
+    isLocked,
+    isUsingFallback,
+    dispose,
+  };
+}
@@ -0,0 +1,421 @@
+/**
+ * Input recording and deterministic replay for movement.
+ * Record a session's setInput/clearInput/jump calls and dt sequence, attach
+ * the JSON to a bug report, then replay it to reproduce the exact trajectory.
+ *
+ * Recording format (v3):
+ *   {
+ *     v: 3,
+ *     seed: number|null,         // world seed from getWorldSeed()
+ *     config: {...},             // movement config at start
+ *     start: {...},              // every simulation field of the state (STATE_FIELDS)
+ *     frames: [[dt, ...events]]  // events applied before that frame's update
+ *   }
+ * Events: ["i", dx, dz, dy?] setInput, ["c"] clearInput, ["j", jumpForce] jump,
+ * ["p"] pressJump, ["r"] releaseJump, ["m", mode, duration] setMovementMode,
+ * ["k", x, y, z, controlLoss] applyImpulse, ["f", x, y, z] applyForce,
+ * ["s", { field: value }] state changed outside the recorder.
+ * Event time is the sum of the preceding frames' dt.
+ *
+ * Water volumes, platform carry and any other code that writes the state
+ * directly are captured as "s" events: before each recorded call and each
+ * update, the recorder compares the state with what it last saw.
+ *
+ * Only v3 is accepted. v1/v2 recordings lack state that later features
+ * depend on and cannot be replayed exactly.
+ */
+
+import {
+  createMovementState,
+  setInput,
+  clearInput,
+  jump,
+  pressJump,
+  releaseJump,
+  setMovementMode,
+  applyImpulse,
+  applyForce,
+  updateMovement,
+} from "./movement";
+import { getWorldSeed, setRandomSeed } from "./math";
+import { getTimeScale } from "./time";
+
+export const RECORDING_VERSION = 3;
+
+// Fields that drive the simulation - recorded at start and diffed between calls
+const STATE_FIELDS = [
+  "x", "y", "z",
+  "vx", "vy", "vz",
+  "inputX", "inputZ", "inputY",
+  "rotation", "targetRotation",
+  "grounded", "groundHeight",
+  "jumpHeld", "jumpBufferTimer", "coyoteTimer", "airJumpsUsed", "isJumping",
+  "externalVx", "externalVz", "controlLossTimer",
+  "forceX", "forceY", "forceZ",
+  "platformVelocity",
+  "walkCycle", "time",
+  "mode", "config", "modeBlend", "colliderHeight",
+  "tierSpeedMult", "tierGravityMult",
+];
+const STATE_FIELD_SET = new Set(STATE_FIELDS);
+
+// Event kind -> [min length, max length]
+const EVENT_ARITY = {
+  i: [3, 4], c: [1, 1], j: [2, 2], p: [1, 1], r: [1, 1],
+  m: [3, 3], k: [5, 5], f: [4, 4], s: [2, 2],
+};
+
+/**
+ * JSON-safe copy of a state field (objects are cloned)
+ */
+function copyField(value) {
+  return value !== null && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Comparable form of a state field
+ */
+function fieldKey(value) {
+  return value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+}
+
+/**
+ * Create an input recorder. Use its setInput/clearInput/jump/pressJump/releaseJump/
+ * setMovementMode/applyImpulse/applyForce/update in place of the movement.js
+ * functions while recording (pass recorder.applyForce to forceFields.apply).
+ * @param {Object} state - Movement state being recorded
+ * @param {Object} options - { maxFrames = 36000 } (10 minutes at 60fps)
+ * @returns {Object} Recorder API
+ */
+export function createInputRecorder(state, options = {}) {
+  const maxFrames = options.maxFrames ?? 36000;
+
+  const start = {};
+  for (const key of STATE_FIELDS) start[key] = copyField(state[key]);
+
+  const recording = {
+    v: RECORDING_VERSION,
+    seed: getWorldSeed(),
+    config: { ...state.config },
+    start,
+    frames: [],
+  };
+
+  let pending = [];
+  let active = true;
+  const seen = new Map(); // field -> fieldKey at the last recorded call
+
+  function rememberState(s) {
+    for (const key of STATE_FIELDS) seen.set(key, fieldKey(s[key]));
+  }
+  rememberState(state);
+
+  /**
+   * Record fields changed since the last recorded call (water, platforms, game code)
+   */
+  function recordOutsideChanges(s) {
+    let changed = null;
+    for (const key of STATE_FIELDS) {
+      if (fieldKey(s[key]) === seen.get(key)) continue;
+      changed = changed || {};
+      changed[key] = copyField(s[key]);
+    }
+    if (changed) pending.push(["s", changed]);
+  }
+
+  /**
+   * Record an event, then apply it and remember the resulting state
+   */
+  function record(s, event, apply) {
+    if (active) {
+      recordOutsideChanges(s);
+      pending.push(event);
+    }
+    const result = apply();
+    rememberState(s);
+    return result;
+  }
+
+  /**
+   * Record and apply setInput
+   */
+  function recordSetInput(s, dx, dz, dy = 0) {
+    record(s, dy !== 0 ? ["i", dx, dz, dy] : ["i", dx, dz], () => setInput(s, dx, dz, dy));
+  }
+
+  /**
+   * Record and apply clearInput
+   */
+  function recordClearInput(s) {
+    record(s, ["c"], () => clearInput(s));
+  }
+
+  /**
+   * Record and apply jump
+   * @returns {boolean} Whether jump was successful
+   */
+  function recordJump(s, jumpForce = 8) {
+    return record(s, ["j", jumpForce], () => jump(s, jumpForce));
+  }
+
+  /**
+   * Record and apply pressJump
+   */
+  function recordPressJump(s) {
+    record(s, ["p"], () => pressJump(s));
+  }
+
+  /**
+   * Record and apply releaseJump
+   */
+  function recordReleaseJump(s) {
+    record(s, ["r"], () => releaseJump(s));
+  }
+
+  /**
+   * Record and apply setMovementMode. Only successful switches are recorded,
+   * and they replay forced, since entry conditions depend on game context.
+   * @returns {boolean} Whether the mode was entered
+   */
+  function recordSetMovementMode(s, mode, options = {}) {
+    if (active) recordOutsideChanges(s);
+    const entered = setMovementMode(s, mode, options);
+    if (entered && active) pending.push(["m", mode, options.duration ?? 0.25]);
+    rememberState(s);
+    return entered;
+  }
+
+  /**
+   * Record and apply applyImpulse
+   */
+  function recordApplyImpulse(s, x, y, z, options = {}) {
+    record(s, ["k", x, y, z, options.controlLoss ?? 0], () => applyImpulse(s, x, y, z, options));
+  }
+
+  /**
+   * Record and apply applyForce
+   */
+  function recordApplyForce(s, x, y, z) {
+    record(s, ["f", x, y, z], () => applyForce(s, x, y, z));
+  }
+
+  /**
+   * Record the frame's dt and apply updateMovement.
+   * The recorded dt already includes the time scale, so slow motion replays exactly.
+   * @param {number} timeScale - Default global getTimeScale(); createMovementRunner passes 1
+   */
+  function update(s, dt, getGroundHeight, checkCollision, timeScale = getTimeScale()) {
+    const scaledDt = dt * timeScale;
+    if (active) {
+      recordOutsideChanges(s);
+      recording.frames.push([scaledDt, ...pending]);
+      pending = [];
+      if (recording.frames.length >= maxFrames) active = false;
+    }
+    updateMovement(s, scaledDt, getGroundHeight, checkCollision, 1);
+    rememberState(s);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object} The recording
+   */
+  function stop() {
+    active = false;
+    return recording;
+  }
+
+  /**
+   * Check if still recording (false after stop() or maxFrames)
+   * @returns {boolean}
+   */
+  function isRecording() {
+    return active;
+  }
+
+  /**
+   * Get the recording as a JSON string
+   * @returns {string}
+   */
+  function toJSON() {
+    return JSON.stringify(recording);
+  }
+
+  return {
+    setInput: recordSetInput,
+    clearInput: recordClearInput,
+    jump: recordJump,
+    pressJump: recordPressJump,
+    releaseJump: recordReleaseJump,
+    setMovementMode: recordSetMovementMode,
+    applyImpulse: recordApplyImpulse,
+    applyForce: recordApplyForce,
+    update,
+    stop,
+    isRecording,
+    toJSON,
+  };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function readEvent(event, field) {
+  if (!Array.isArray(event) || !EVENT_ARITY[event[0]]) {
+    throw new Error(`Invalid recording: ${field}`);
+  }
+  const [min, max] = EVENT_ARITY[event[0]];
+  if (event.length < min || event.length > max) {
+    throw new Error(`Invalid recording: ${field}`);
+  }
+  const args = event.slice(1);
+  const valid = event[0] === "m"
+    ? typeof args[0] === "string" && Number.isFinite(args[1])
+    : event[0] === "s"
+      ? isPlainObject(args[0]) && Object.keys(args[0]).every((key) => STATE_FIELD_SET.has(key))
+      : args.every(Number.isFinite);
+  if (!valid) {
+    throw new Error(`Invalid recording: ${field}`);
+  }
+}
+
+/**
+ * Validate and parse a recording (object or JSON string)
+ * @param {Object|string} data - Recording
+ * @returns {Object} Recording object
+ * @throws {Error} If the recording is malformed or not the current version
+ */
+export function parseRecording(data) {
+  let rec = data;
+  if (typeof data === "string") {
+    try {
+      rec = JSON.parse(data);
+    } catch (e) {
+      throw new Error("Invalid recording: not JSON");
+    }
+  }
+  if (!isPlainObject(rec)) {
+    throw new Error("Invalid recording");
+  }
+  if (rec.v !== RECORDING_VERSION) {
+    throw new Error(`Invalid recording: unsupported version ${rec.v}`);
+  }
+  if (!isPlainObject(rec.config) || !isPlainObject(rec.start) || !Array.isArray(rec.frames)) {
+    throw new Error("Invalid recording: config/start/frames");
+  }
+
+  rec.frames.forEach((frame, i) => {
+    const field = `frames[${i}]`;
+    if (!Array.isArray(frame) || !Number.isFinite(frame[0]) || frame[0] < 0) {
+      throw new Error(`Invalid recording: ${field}`);
+    }
+    for (let j = 1; j < frame.length; j++) readEvent(frame[j], `${field}[${j}]`);
+  });
+  return rec;
+}
+
+/**
+ * Create a replayer that steps through a recording frame by frame
+ * @param {Object|string} data - Recording (object or JSON string)
+ * @param {Object} options - { getGroundHeight, checkCollision, applySeed = false }
+ *   Pass the same ground/collision callbacks the game used while recording.
+ *   applySeed calls setRandomSeed(recording.seed), which reseeds the live
+ *   game's RNG too - only use it when replaying outside a running game.
+ * @returns {Object} Replayer API
+ */
+export function createInputReplayer(data, options = {}) {
+  const rec = parseRecording(data);
+  const { getGroundHeight, checkCollision } = options;
+
+  if (options.applySeed && rec.seed !== null && rec.seed !== undefined) {
+    setRandomSeed(rec.seed);
+  }
+
+  const state = createMovementState(rec.config);
+  for (const key of Object.keys(rec.start)) {
+    if (STATE_FIELD_SET.has(key)) state[key] = copyField(rec.start[key]);
+  }
+
+  let frame = 0;
+  let time = 0;
+
+  function applyEvent(event) {
+    switch (event[0]) {
+      case "i": setInput(state, event[1], event[2], event[3] ?? 0); break;
+      case "c": clearInput(state); break;
+      case "j": jump(state, event[1]); break;
+      case "p": pressJump(state); break;
+      case "r": releaseJump(state); break;
+      case "m": setMovementMode(state, event[1], { duration: event[2], force: true }); break;
+      case "k": applyImpulse(state, event[1], event[2], event[3], { controlLoss: event[4] }); break;
+      case "f": applyForce(state, event[1], event[2], event[3]); break;
+      case "s":
+        for (const key of Object.keys(event[1])) state[key] = copyField(event[1][key]);
+        break;
+      default: throw new Error(`Unknown recording event: ${event[0]}`);
+    }
+  }
+
+  /**
+   * Replay the next frame
+   * @returns {boolean} False when the recording is finished
+   */
+  function step() {
+    if (frame >= rec.frames.length) return false;
+    const [dt, ...events] = rec.frames[frame];
+    for (const event of events) applyEvent(event);
+    updateMovement(state, dt, getGroundHeight, checkCollision, 1);
+    time += dt;
+    frame++;
+    return true;
+  }
+
+  /**
+   * Get index of the next frame
+   * @returns {number}
+   */
+  function getFrame() {
+    return frame;
+  }
+
+  /**
+   * Get simulated time replayed so far
+   * @returns {number} Seconds
+   */
+  function getTime() {
+    return time;
+  }
+
+  /**
+   * Check if all frames have been replayed
+   * @returns {boolean}
+   */
+  function isDone() {
+    return frame >= rec.frames.length;
+  }
+
+  return {
+    state,
+    step,
+    getFrame,
+    getTime,
+    isDone,
+  };
+}
+
+/**
+ * Replay a whole recording and return the trajectory
+ * @param {Object|string} data - Recording (object or JSON string)
+ * @param {Object} options - Same as createInputReplayer
+ * @returns {Object} { state, trajectory } - trajectory is [[x, y, z], ...] after each frame
+ */
+export function replayRecording(data, options = {}) {
+  const replayer = createInputReplayer(data, options);
+  const trajectory = [];
+  while (replayer.step()) {
+    const { x, y, z } = replayer.state;
+    trajectory.push([x, y, z]);
+  }
+  return { state: replayer.state, trajectory };
+}
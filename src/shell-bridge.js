@@ -50,6 +50,8 @@
  * ============================================================================
  */
 
+import { setMovementMode } from './movement';
+
 let bridgeInstance = null;
 let authResolve = null;
 let authPromise = null;
@@ -532,6 +534,36 @@ export function useShellBridge() {
   return bridgeInstance;
 }
 
+/**
+ * Follow the shell's fly-mode toggle (`shell-fly-mode` events from ShellBridge).
+ * Switches into fly when the shell enables it and back to groundMode when it
+ * disables it. Does nothing outside the browser.
+ * @param {Object} state - Movement state
+ * @param {Object} options - { groundMode = 'walk', duration = 0.25 }
+ * @returns {Function} Unsubscribe function
+ */
+export function bindShellFlyMode(state, options = {}) {
+  if (typeof window === 'undefined') return () => {};
+  const groundMode = options.groundMode ?? 'walk';
+  const duration = options.duration ?? 0.25;
+
+  function apply(enabled) {
+    if (enabled) {
+      setMovementMode(state, 'fly', { duration, context: { flyAllowed: true } });
+    } else if (state.mode === 'fly') {
+      state.inputY = 0;
+      setMovementMode(state, groundMode, { duration, force: true });
+    }
+  }
+
+  const bridge = getShellBridge();
+  if (bridge && bridge.isFlyModeEnabled()) apply(true);
+
+  const onFlyMode = (e) => apply(e.detail?.enabled === true);
+  window.addEventListener('shell-fly-mode', onFlyMode);
+  return () => window.removeEventListener('shell-fly-mode', onFlyMode);
+}
+
 // Auto-initialize in browser
 if (typeof window !== 'undefined') {
   initShellBridge();
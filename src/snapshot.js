@@ -0,0 +1,285 @@
+/**
+ * Movement state snapshots for saves, world hops and multiplayer reconciliation.
+ * Only the fields that drive the simulation are stored; derived fields
+ * (tile position, animation flags, ground normal, platform references) are
+ * rebuilt on restore or on the next updateMovement.
+ *
+ * Snapshot format (v1):
+ *   {
+ *     v: 1,
+ *     position: [x, y, z],
+ *     velocity: [vx, vy, vz],
+ *     external: [externalVx, externalVz],
+ *     platformVelocity: [x, y, z],
+ *     input: [inputX, inputZ, inputY],
+ *     rotation, targetRotation,
+ *     grounded, groundHeight,
+ *     mode, config?,             // config only for mode "custom"
+ *     tier: [gravityMult, speedMult],
+ *     jump: [jumpHeld, jumpBufferTimer, coyoteTimer, airJumpsUsed, isJumping],
+ *     controlLossTimer, walkCycle, time
+ *   }
+ */
+
+import { TILE } from "./constants";
+import { MovementModes, createMovementState, storePreviousTransform } from "./movement";
+
+export const MOVEMENT_SNAPSHOT_VERSION = 1;
+
+// Sanity limits for untrusted snapshots
+const MAX_COORD = 1e7;
+const MAX_SPEED = 1000;
+const MAX_TIMER = 60;
+const MAX_MULT = 100;
+const MAX_RATE = 1000;
+const MAX_AIR_JUMPS = 10;
+
+// Numeric config keys accepted for custom configs, with [min, max] bounds
+const CONFIG_LIMITS = {
+  speed: [0, MAX_SPEED],
+  acceleration: [0, MAX_RATE],
+  friction: [0, MAX_RATE],
+  gravity: [0, MAX_RATE],
+  turnSpeed: [0, MAX_RATE],
+  colliderHeight: [0.1, 10],
+  jumpForce: [0, 100],
+  coyoteTime: [0, MAX_TIMER],
+  jumpBuffer: [0, MAX_TIMER],
+  jumpCutGravity: [0, 100],
+  airJumps: [0, MAX_AIR_JUMPS],
+  maxSpeed: [0, MAX_SPEED],
+  maxFallSpeed: [0, MAX_SPEED],
+  maxRiseSpeed: [0, MAX_SPEED],
+  externalFriction: [0, MAX_RATE],
+  externalAirDrag: [0, MAX_RATE],
+  controlLossInputScale: [0, 1],
+  verticalSpeed: [0, MAX_SPEED],
+  verticalAcceleration: [0, MAX_RATE],
+  verticalFriction: [0, MAX_RATE],
+  maxHeight: [-MAX_COORD, MAX_COORD],
+  minHeight: [-MAX_COORD, MAX_COORD],
+};
+const CONFIG_KEYS = Object.keys(CONFIG_LIMITS);
+
+/**
+ * Serialize a movement state
+ * @param {Object} state - Movement state
+ * @returns {Object} JSON-safe snapshot
+ */
+export function serializeMovementState(state) {
+  const pv = state.platformVelocity ?? { x: 0, y: 0, z: 0 };
+  const snapshot = {
+    v: MOVEMENT_SNAPSHOT_VERSION,
+    position: [state.x, state.y, state.z],
+    velocity: [state.vx, state.vy, state.vz],
+    external: [state.externalVx ?? 0, state.externalVz ?? 0],
+    platformVelocity: [pv.x, pv.y, pv.z],
+    input: [state.inputX, state.inputZ, state.inputY ?? 0],
+    rotation: state.rotation,
+    targetRotation: state.targetRotation,
+    grounded: state.grounded,
+    groundHeight: state.groundHeight,
+    mode: state.mode,
+    tier: [state.tierGravityMult ?? 1, state.tierSpeedMult ?? 1],
+    jump: [
+      state.jumpHeld ?? false,
+      state.jumpBufferTimer ?? 0,
+      state.coyoteTimer ?? 0,
+      state.airJumpsUsed ?? 0,
+      state.isJumping ?? false,
+    ],
+    controlLossTimer: state.controlLossTimer ?? 0,
+    walkCycle: state.walkCycle,
+    time: state.time ?? 0,
+  };
+
+  // Presets are rebuilt from the mode name; custom configs travel with the
+  // snapshot, stored without tier multipliers (restore re-applies them)
+  if (!isPreset(state.mode)) {
+    const config = {};
+    for (const key of CONFIG_KEYS) {
+      const value = state.config[key];
+      if (typeof value === "number" || value === null) config[key] = value;
+    }
+    config.speed /= snapshot.tier[1];
+    config.gravity /= snapshot.tier[0];
+    if (state.config.verticalControl) config.verticalControl = true;
+    if (state.config.unlimitedAirJumps) config.unlimitedAirJumps = true;
+    snapshot.mode = "custom";
+    snapshot.config = config;
+  }
+
+  return snapshot;
+}
+
+function isPreset(mode) {
+  return typeof mode === "string" && Object.prototype.hasOwnProperty.call(MovementModes, mode);
+}
+
+function invalid(field) {
+  return new Error(`Invalid movement snapshot: ${field}`);
+}
+
+function readNumber(value, field, min, max) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    throw invalid(field);
+  }
+  return value;
+}
+
+function readBoolean(value, field) {
+  if (typeof value !== "boolean") throw invalid(field);
+  return value;
+}
+
+function readVector(value, field, length, limit) {
+  if (!Array.isArray(value) || value.length !== length) throw invalid(field);
+  return value.map((n, i) => readNumber(n, `${field}[${i}]`, -limit, limit));
+}
+
+function readConfig(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) throw invalid("config");
+  const config = {};
+  for (const key of CONFIG_KEYS) {
+    if (!(key in value)) continue;
+    if (value[key] === null) {
+      config[key] = null;
+      continue;
+    }
+    const [min, max] = CONFIG_LIMITS[key];
+    config[key] = readNumber(value[key], `config.${key}`, min, max);
+  }
+  if (typeof config.airJumps === "number" && !Number.isInteger(config.airJumps)) {
+    throw invalid("config.airJumps");
+  }
+  for (const key of ["speed", "acceleration", "friction", "gravity", "turnSpeed"]) {
+    if (config[key] === undefined || config[key] === null) throw invalid(`config.${key}`);
+  }
+  if (value.verticalControl === true) config.verticalControl = true;
+  if (value.unlimitedAirJumps === true) config.unlimitedAirJumps = true;
+  return config;
+}
+
+/**
+ * Validate a snapshot (object or JSON string) without applying it
+ * @param {Object|string} data - Snapshot, possibly from an untrusted source
+ * @returns {Object} Normalized snapshot
+ * @throws {Error} If the snapshot is malformed or out of range
+ */
+export function parseMovementSnapshot(data) {
+  let snap = data;
+  if (typeof data === "string") {
+    try {
+      snap = JSON.parse(data);
+    } catch (e) {
+      throw invalid("not JSON");
+    }
+  }
+  if (!snap || typeof snap !== "object") throw invalid("not an object");
+  if (snap.v !== MOVEMENT_SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported movement snapshot version: ${snap.v}`);
+  }
+
+  const mode = snap.mode;
+  if (mode !== "custom" && !isPreset(mode)) {
+    throw invalid("mode");
+  }
+
+  const jump = snap.jump;
+  if (!Array.isArray(jump) || jump.length !== 5) throw invalid("jump");
+
+  const parsed = {
+    position: readVector(snap.position, "position", 3, MAX_COORD),
+    velocity: readVector(snap.velocity, "velocity", 3, MAX_SPEED),
+    external: readVector(snap.external, "external", 2, MAX_SPEED),
+    platformVelocity: readVector(snap.platformVelocity, "platformVelocity", 3, MAX_SPEED),
+    input: readVector(snap.input, "input", 3, 1),
+    rotation: readNumber(snap.rotation, "rotation", -1e6, 1e6),
+    targetRotation: readNumber(snap.targetRotation, "targetRotation", -1e6, 1e6),
+    grounded: readBoolean(snap.grounded, "grounded"),
+    groundHeight: readNumber(snap.groundHeight, "groundHeight", -MAX_COORD, MAX_COORD),
+    mode,
+    config: mode === "custom" ? readConfig(snap.config) : null,
+    tier: readVector(snap.tier, "tier", 2, MAX_MULT).map((m, i) => {
+      if (m <= 0) throw invalid(`tier[${i}]`);
+      return m;
+    }),
+    jump: [
+      readBoolean(jump[0], "jump[0]"),
+      readNumber(jump[1], "jump[1]", 0, MAX_TIMER),
+      readNumber(jump[2], "jump[2]", 0, MAX_TIMER),
+      readNumber(jump[3], "jump[3]", 0, MAX_AIR_JUMPS),
+      readBoolean(jump[4], "jump[4]"),
+    ],
+    controlLossTimer: readNumber(snap.controlLossTimer, "controlLossTimer", 0, MAX_TIMER),
+    walkCycle: readNumber(snap.walkCycle, "walkCycle", -1e9, 1e9),
+    time: readNumber(snap.time, "time", 0, 1e9),
+  };
+
+  if (!Number.isInteger(parsed.jump[3])) throw invalid("jump[3]");
+
+  // Bounds hold after tier multipliers too
+  if (parsed.config) {
+    const [gravityMult, speedMult] = parsed.tier;
+    if (parsed.config.speed * speedMult > MAX_SPEED) throw invalid("config.speed");
+    if (parsed.config.gravity * gravityMult > MAX_RATE) throw invalid("config.gravity");
+  }
+  return parsed;
+}
+
+/**
+ * Restore a movement state from a snapshot.
+ * The snapshot is fully validated before anything is written, so a bad
+ * snapshot leaves the state untouched.
+ * @param {Object|string} data - Snapshot from serializeMovementState (object or JSON string)
+ * @param {Object} state - State to restore into (default: a new movement state)
+ * @returns {Object} The restored state
+ * @throws {Error} If the snapshot is malformed or out of range
+ */
+export function restoreMovementState(data, state = createMovementState()) {
+  const snap = parseMovementSnapshot(data);
+  const [gravityMult, speedMult] = snap.tier;
+
+  // Mode config with tier multipliers, as setMovementMode builds it
+  const base = snap.mode === "custom" ? snap.config : MovementModes[snap.mode];
+  state.config = {
+    ...base,
+    speed: base.speed * speedMult,
+    gravity: base.gravity * gravityMult,
+  };
+  state.mode = snap.mode;
+  state.modeBlend = null;
+  state.colliderHeight = base.colliderHeight ?? 1.0;
+  state.tierGravityMult = gravityMult;
+  state.tierSpeedMult = speedMult;
+
+  [state.x, state.y, state.z] = snap.position;
+  [state.vx, state.vy, state.vz] = snap.velocity;
+  [state.externalVx, state.externalVz] = snap.external;
+  const [px, py, pz] = snap.platformVelocity;
+  state.platformVelocity = { x: px, y: py, z: pz };
+  [state.inputX, state.inputZ, state.inputY] = snap.input;
+  state.rotation = snap.rotation;
+  state.targetRotation = snap.targetRotation;
+  state.grounded = snap.grounded;
+  state.groundHeight = snap.groundHeight;
+  [state.jumpHeld, state.jumpBufferTimer, state.coyoteTimer, state.airJumpsUsed, state.isJumping] = snap.jump;
+  state.controlLossTimer = snap.controlLossTimer;
+  state.walkCycle = snap.walkCycle;
+  state.time = snap.time;
+
+  // Derived and per-frame fields
+  state.forceX = 0;
+  state.forceY = 0;
+  state.forceZ = 0;
+  state.platform = null;
+  state.groundNormal = { x: 0, y: 1, z: 0 };
+  state.groundSlope = 0;
+  state.groundMesh = null;
+  state.isMoving = Math.sqrt(snap.velocity[0] ** 2 + snap.velocity[2] ** 2) > 0.1;
+  state.tileX = Math.round(state.x / TILE);
+  state.tileZ = Math.round(state.z / TILE);
+  storePreviousTransform(state);
+
+  return state;
+}
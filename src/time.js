@@ -0,0 +1,24 @@
+/**
+ * Global simulation time scale.
+ * Movement, camera roll and character animation advance by dt * timeScale,
+ * so 0.25 is slow motion and 0 pauses them. Camera following and input stay
+ * in real time, so the camera can still orbit while paused.
+ */
+
+let timeScale = 1;
+
+/**
+ * Set the global time scale
+ * @param {number} scale - 1 = normal, 0.5 = half speed, 0 = paused
+ */
+export function setTimeScale(scale) {
+  timeScale = Number.isFinite(scale) ? Math.max(0, scale) : 1;
+}
+
+/**
+ * Get the global time scale
+ * @returns {number}
+ */
+export function getTimeScale() {
+  return timeScale;
+}
@@ -0,0 +1,366 @@
+/**
+ * On-screen virtual joystick and action buttons for standalone mobile play.
+ * When embedded, the shell draws its own controls; outside the shell the
+ * game can mount these instead.
+ *
+ * Touches are tracked by identifier through createTouchState(): the stick
+ * claims `joystickTouchId`, a free finger elsewhere claims `cameraTouchId`,
+ * so moving and orbiting the camera work at the same time.
+ */
+
+import { createTouchState } from "./controls";
+
+const DEFAULT_BUTTONS = [{ id: "jump", label: "JUMP" }];
+
+/**
+ * Build a CSS length that includes the device safe-area inset on one side
+ * @param {number} px - Base offset in pixels
+ * @param {string} side - "top" | "right" | "bottom" | "left"
+ * @param {boolean} safeArea - Whether to add env(safe-area-inset-*)
+ * @returns {string} CSS length
+ */
+function insetCss(px, side, safeArea) {
+  return safeArea ? `calc(${px}px + env(safe-area-inset-${side}, 0px))` : `${px}px`;
+}
+
+function applyStyles(el, styles) {
+  for (const key of Object.keys(styles)) {
+    el.style[key] = styles[key];
+  }
+}
+
+/**
+ * Create virtual touch controls
+ * @param {Object} options - Configuration
+ * @param {HTMLElement} options.container - Element to mount into (default document.body)
+ * @param {EventTarget} options.target - Element receiving touch events (default window)
+ * @param {string} options.side - Joystick side, "left" or "right" (buttons go opposite)
+ * @param {string} options.mode - "fixed" (stick stays put) or "floating" (stick spawns under finger)
+ * @param {number} options.size - Joystick base diameter in pixels
+ * @param {number} options.margin - Distance from screen edges in pixels
+ * @param {boolean} options.safeArea - Respect notch/home-indicator insets
+ * @param {Object[]} options.buttons - [{ id, label }] - "jump" and "sprint" are wired to the input manager
+ * @param {Object} options.inputManager - Optional createInputManager() instance to feed
+ * @param {Object} options.touchState - Shared createTouchState() (pass the same one to camera/gesture code)
+ * @param {Function} options.onMove - Function(dx, dy) joystick delta in pixels from center
+ * @param {Function} options.onEnd - Function() joystick released
+ * @param {Function} options.onButton - Function(id, pressed)
+ * @param {Function} options.onCameraDrag - Function(dx, dy) per-move delta of the camera finger
+ * @returns {Object} Virtual controls API
+ */
+export function createVirtualControls(options = {}) {
+  const container = options.container ?? document.body;
+  const target = options.target ?? window;
+  const side = options.side ?? "left";
+  const mode = options.mode ?? "fixed";
+  const size = options.size ?? 120;
+  const margin = options.margin ?? 24;
+  const safeArea = options.safeArea ?? true;
+  const buttonDefs = options.buttons ?? DEFAULT_BUTTONS;
+  const inputManager = options.inputManager ?? null;
+  const touchState = options.touchState ?? createTouchState();
+  const { onMove, onEnd, onButton, onCameraDrag } = options;
+
+  const radius = size / 2;
+  const knobSize = size * 0.45;
+  const buttonSide = side === "left" ? "right" : "left";
+
+  let enabled = true;
+  let joystickCenter = null; // { x, y } in client coords while active
+  let joystickDx = 0;
+  let joystickDy = 0;
+  let cameraLast = null;     // { x, y } last position of camera finger
+  const buttonTouches = new Map(); // touch id -> button id
+
+  // --- DOM ---
+
+  const root = document.createElement("div");
+  applyStyles(root, {
+    position: "fixed",
+    inset: "0",
+    pointerEvents: "none", // Hit testing is done manually so the canvas keeps its events
+    zIndex: "1000",
+    userSelect: "none",
+    webkitUserSelect: "none",
+  });
+
+  const base = document.createElement("div");
+  applyStyles(base, {
+    position: "absolute",
+    width: `${size}px`,
+    height: `${size}px`,
+    borderRadius: "50%",
+    background: "rgba(255, 255, 255, 0.18)",
+    border: "2px solid rgba(255, 255, 255, 0.35)",
+    boxSizing: "border-box",
+    bottom: insetCss(margin, "bottom", safeArea),
+    [side]: insetCss(margin, side, safeArea),
+    opacity: mode === "floating" ? "0" : "1",
+    transition: "opacity 0.15s",
+  });
+
+  const knob = document.createElement("div");
+  applyStyles(knob, {
+    position: "absolute",
+    width: `${knobSize}px`,
+    height: `${knobSize}px`,
+    left: `${radius - knobSize / 2}px`,
+    top: `${radius - knobSize / 2}px`,
+    borderRadius: "50%",
+    background: "rgba(255, 255, 255, 0.6)",
+  });
+  base.appendChild(knob);
+  root.appendChild(base);
+
+  const buttons = buttonDefs.map((def, i) => {
+    const el = document.createElement("div");
+    const btnSize = def.size ?? 72;
+    el.textContent = def.label ?? def.id;
+    applyStyles(el, {
+      position: "absolute",
+      width: `${btnSize}px`,
+      height: `${btnSize}px`,
+      lineHeight: `${btnSize}px`,
+      textAlign: "center",
+      borderRadius: "50%",
+      background: "rgba(255, 255, 255, 0.25)",
+      border: "2px solid rgba(255, 255, 255, 0.4)",
+      boxSizing: "border-box",
+      color: "white",
+      font: "bold 13px sans-serif",
+      bottom: insetCss(margin + i * (btnSize + 16), "bottom", safeArea),
+      [buttonSide]: insetCss(margin, buttonSide, safeArea),
+    });
+    root.appendChild(el);
+    return { id: def.id, el, pressed: false };
+  });
+
+  container.appendChild(root);
+
+  // --- Hit testing ---
+
+  function inRect(rect, x, y, pad = 0) {
+    return x >= rect.left - pad && x <= rect.right + pad && y >= rect.top - pad && y <= rect.bottom + pad;
+  }
+
+  function hitButton(x, y) {
+    return buttons.find((b) => inRect(b.el.getBoundingClientRect(), x, y, 8)) || null;
+  }
+
+  function hitJoystickZone(x, y) {
+    if (mode === "floating") {
+      // Bottom half of the joystick's side of the screen
+      const w = window.innerWidth;
+      const h = window.innerHeight;
+      const inSide = side === "left" ? x < w / 2 : x >= w / 2;
+      return inSide && y > h / 2;
+    }
+    const rect = base.getBoundingClientRect();
+    return inRect(rect, x, y, radius * 0.5);
+  }
+
+  // --- Joystick ---
+
+  function placeFloatingBase(x, y) {
+    const rect = root.getBoundingClientRect();
+    base.style.bottom = "auto";
+    base.style[side] = "auto";
+    base.style.left = `${x - rect.left - radius}px`;
+    base.style.top = `${y - rect.top - radius}px`;
+    base.style.opacity = "1";
+  }
+
+  function startJoystick(touch) {
+    touchState.joystickTouchId = touch.identifier;
+    if (mode === "floating") {
+      placeFloatingBase(touch.clientX, touch.clientY);
+      joystickCenter = { x: touch.clientX, y: touch.clientY };
+    } else {
+      const rect = base.getBoundingClientRect();
+      joystickCenter = { x: rect.left + radius, y: rect.top + radius };
+    }
+    moveJoystick(touch);
+  }
+
+  function moveJoystick(touch) {
+    let dx = touch.clientX - joystickCenter.x;
+    let dy = touch.clientY - joystickCenter.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist > radius) {
+      dx = (dx / dist) * radius;
+      dy = (dy / dist) * radius;
+    }
+    joystickDx = dx;
+    joystickDy = dy;
+    knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+    if (inputManager) inputManager.setJoystick(dx, dy);
+    if (onMove) onMove(dx, dy);
+  }
+
+  function endJoystick() {
+    touchState.joystickTouchId = null;
+    joystickCenter = null;
+    joystickDx = 0;
+    joystickDy = 0;
+    knob.style.transform = "";
+    if (mode === "floating") base.style.opacity = "0";
+
+    if (inputManager) inputManager.clearJoystick();
+    if (onEnd) onEnd();
+  }
+
+  // --- Buttons ---
+
+  function setButton(button, pressed) {
+    if (button.pressed === pressed) return;
+    button.pressed = pressed;
+    button.el.style.background = pressed ? "rgba(255, 255, 255, 0.5)" : "rgba(255, 255, 255, 0.25)";
+
+    if (inputManager) {
+      if (button.id === "jump" && pressed) inputManager.pressJump();
+      if (button.id === "sprint") inputManager.setSprint(pressed);
+    }
+    if (onButton) onButton(button.id, pressed);
+  }
+
+  // --- Touch handlers ---
+
+  function onTouchStart(e) {
+    if (!enabled) return;
+    let handled = false;
+
+    for (const touch of e.changedTouches) {
+      const { clientX: x, clientY: y } = touch;
+
+      const button = hitButton(x, y);
+      if (button) {
+        buttonTouches.set(touch.identifier, button.id);
+        setButton(button, true);
+        handled = true;
+        continue;
+      }
+
+      if (touchState.joystickTouchId === null && hitJoystickZone(x, y)) {
+        startJoystick(touch);
+        handled = true;
+        continue;
+      }
+
+      if (onCameraDrag && touchState.cameraTouchId === null) {
+        touchState.cameraTouchId = touch.identifier;
+        cameraLast = { x, y };
+      }
+    }
+
+    if (handled && e.cancelable) e.preventDefault();
+  }
+
+  function onTouchMove(e) {
+    if (!enabled) return;
+
+    for (const touch of e.changedTouches) {
+      if (touch.identifier === touchState.joystickTouchId) {
+        moveJoystick(touch);
+        if (e.cancelable) e.preventDefault();
+      } else if (touch.identifier === touchState.cameraTouchId && cameraLast) {
+        onCameraDrag(touch.clientX - cameraLast.x, touch.clientY - cameraLast.y);
+        cameraLast = { x: touch.clientX, y: touch.clientY };
+      }
+    }
+  }
+
+  function onTouchEnd(e) {
+    for (const touch of e.changedTouches) {
+      const id = touch.identifier;
+
+      if (id === touchState.joystickTouchId) {
+        endJoystick();
+      } else if (id === touchState.cameraTouchId) {
+        touchState.cameraTouchId = null;
+        cameraLast = null;
+      } else if (buttonTouches.has(id)) {
+        const button = buttons.find((b) => b.id === buttonTouches.get(id));
+        buttonTouches.delete(id);
+        // Another finger may still hold the same button
+        const stillHeld = [...buttonTouches.values()].includes(button.id);
+        if (!stillHeld) setButton(button, false);
+      }
+    }
+  }
+
+  target.addEventListener("touchstart", onTouchStart, { passive: false });
+  target.addEventListener("touchmove", onTouchMove, { passive: false });
+  target.addEventListener("touchend", onTouchEnd);
+  target.addEventListener("touchcancel", onTouchEnd);
+
+  // --- Public API ---
+
+  /**
+   * Release everything currently held
+   */
+  function releaseAll() {
+    if (touchState.joystickTouchId !== null) endJoystick();
+    for (const button of buttons) setButton(button, false);
+    buttonTouches.clear();
+    if (onCameraDrag) touchState.cameraTouchId = null;
+    cameraLast = null;
+  }
+
+  /**
+   * Show the controls
+   */
+  function show() {
+    root.style.display = "";
+    enabled = true;
+  }
+
+  /**
+   * Hide the controls and release any held input
+   */
+  function hide() {
+    releaseAll();
+    root.style.display = "none";
+    enabled = false;
+  }
+
+  /**
+   * Get current joystick delta in pixels from center
+   * @returns {Object} { dx, dy, active }
+   */
+  function getJoystick() {
+    return { dx: joystickDx, dy: joystickDy, active: touchState.joystickTouchId !== null };
+  }
+
+  /**
+   * Check if a button is held
+   * @param {string} id - Button id
+   * @returns {boolean}
+   */
+  function isButtonPressed(id) {
+    const button = buttons.find((b) => b.id === id);
+    return button ? button.pressed : false;
+  }
+
+  /**
+   * Remove DOM elements and listeners
+   */
+  function dispose() {
+    releaseAll();
+    target.removeEventListener("touchstart", onTouchStart);
+    target.removeEventListener("touchmove", onTouchMove);
+    target.removeEventListener("touchend", onTouchEnd);
+    target.removeEventListener("touchcancel", onTouchEnd);
+    root.remove();
+  }
+
+  return {
+    element: root,
+    touchState,
+    show,
+    hide,
+    getJoystick,
+    isButtonPressed,
+    dispose,
+  };
+}
@@ -0,0 +1,238 @@
+import { setMovementMode, applyForce } from "./movement";
+
+/**
+ * Water volumes and buoyancy.
+ * Registers water as boxes (ponds, pools) or heightfields (tile-based lakes
+ * from world generation), detects the surface under the player and drives
+ * the swim mode: switch in on entry, float at the surface with a gentle bob,
+ * dive on downward input, and switch back out on exit.
+ *
+ * Call update() once per tick before updateMovement (it uses applyForce).
+ *
+ * Depths must satisfy exitDepth < enterDepth <= floatDepth. The gap between
+ * exitDepth and enterDepth keeps wading in and out from flickering between
+ * modes. Between enterDepth and floatDepth the water is too shallow to float,
+ * so a grounded swimmer paddles along the bottom until it drops below
+ * exitDepth and they walk out.
+ */
+
+/**
+ * Create a water world
+ * @param {Object} options - Configuration
+ * @param {number} options.enterDepth - Feet depth below the surface that starts swimming (default 0.5)
+ * @param {number} options.exitDepth - Depth at which a grounded swimmer walks out (default 0.3)
+ * @param {number} options.floatDepth - Feet depth the swimmer floats at (default 0.6)
+ * @param {number} options.buoyancy - Spring strength pulling toward floatDepth (default 14)
+ * @param {number} options.damping - Vertical damping while floating (default 4)
+ * @param {number} options.diveForce - Downward acceleration while diving (default 8)
+ * @param {number} options.bobAmount - Surface bob height (default 0.05)
+ * @param {number} options.bobSpeed - Surface bob rate in radians/sec (default 2)
+ * @param {string[]} options.ignoreModes - Modes that never switch to swim (default ['fly'])
+ * @param {Function} options.onEnter - Function(state, volume, impactSpeed) for splashes
+ * @param {Function} options.onExit - Function(state, volume)
+ * @returns {Object} Water world API
+ */
+export function createWaterWorld(options = {}) {
+  const enterDepth = options.enterDepth ?? 0.5;
+  const exitDepth = options.exitDepth ?? 0.3;
+  const floatDepth = options.floatDepth ?? 0.6;
+  const buoyancy = options.buoyancy ?? 14;
+  const damping = options.damping ?? 4;
+  const diveForce = options.diveForce ?? 8;
+  const bobAmount = options.bobAmount ?? 0.05;
+  const bobSpeed = options.bobSpeed ?? 2;
+  const ignoreModes = options.ignoreModes ?? ["fly"];
+  if (!(exitDepth < enterDepth && enterDepth <= floatDepth)) {
+    throw new Error("Invalid water depths: need exitDepth < enterDepth <= floatDepth");
+  }
+
+  let onEnter = options.onEnter || null;
+  let onExit = options.onExit || null;
+
+  const volumes = new Map(); // id -> volume
+  const swimmers = new WeakMap(); // state -> { volume, previousMode }
+  let nextId = 1;
+
+  function add(volume) {
+    const v = { id: nextId++, data: null, ...volume };
+    volumes.set(v.id, v);
+    return v.id;
+  }
+
+  /**
+   * Register a box of water (ponds, pools)
+   * @param {number} minX - Min X
+   * @param {number} minZ - Min Z
+   * @param {number} maxX - Max X
+   * @param {number} maxZ - Max Z
+   * @param {number} surface - Water surface height (world Y)
+   * @param {Object} opts - { bottom = -Infinity, data } - e.g. data: { biome } for splash color
+   * @returns {number} Volume id
+   */
+  function addBox(minX, minZ, maxX, maxZ, surface, opts = {}) {
+    return add({
+      type: "box",
+      minX: Math.min(minX, maxX),
+      minZ: Math.min(minZ, maxZ),
+      maxX: Math.max(minX, maxX),
+      maxZ: Math.max(minZ, maxZ),
+      surface,
+      bottom: opts.bottom ?? -Infinity,
+      data: opts.data ?? null,
+    });
+  }
+
+  /**
+   * Register a heightfield of water (tile-based lakes, rivers)
+   * @param {Function} getSurface - Function(x, z) => surface height, or null where there is no water
+   * @param {Object} opts - { data }
+   * @returns {number} Volume id
+   */
+  function addHeightfield(getSurface, opts = {}) {
+    return add({ type: "heightfield", getSurface, data: opts.data ?? null });
+  }
+
+  /**
+   * Remove a volume (swimmers in it exit on the next update)
+   * @param {number} id - Volume id
+   */
+  function remove(id) {
+    volumes.delete(id);
+  }
+
+  /**
+   * Remove all volumes
+   */
+  function clear() {
+    volumes.clear();
+  }
+
+  function surfaceOf(v, x, z) {
+    if (v.type === "heightfield") {
+      const surface = v.getSurface(x, z);
+      return surface === null || surface === undefined ? null : surface;
+    }
+    if (x < v.minX || x > v.maxX || z < v.minZ || z > v.maxZ) return null;
+    return v.surface;
+  }
+
+  /**
+   * Find the water surface at (x, z)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} y - Optional height; box volumes are skipped if y is below their bottom
+   * @returns {Object|null} { surface, volume } for the highest surface, or null if dry
+   */
+  function getWaterAt(x, z, y) {
+    let best = null;
+    for (const v of volumes.values()) {
+      const surface = surfaceOf(v, x, z);
+      if (surface === null) continue;
+      if (y !== undefined && v.bottom !== undefined && y < v.bottom) continue;
+      if (!best || surface > best.surface) best = { surface, volume: v };
+    }
+    return best;
+  }
+
+  /**
+   * Detect water at the player, switch swim mode on entry/exit and apply buoyancy.
+   * Writes state.inWater, state.waterHeight and state.waterDepth (feet depth below the surface).
+   * Downward vertical input (setInput dy < 0, e.g. the moveDown key) dives.
+   * The surface bob follows state.time, so it pauses and slows with the sim.
+   * @param {Object} state - Movement state
+   * @returns {boolean} Whether the player is swimming
+   */
+  function update(state) {
+    const water = getWaterAt(state.x, state.z, state.y);
+    const depth = water ? water.surface - state.y : -Infinity;
+    state.waterHeight = water ? water.surface : null;
+    state.waterDepth = Math.max(0, depth);
+    state.inWater = depth > 0;
+
+    let swim = swimmers.get(state);
+
+    // Exit: fully out of the water, or walked into the shallows
+    if (swim && (depth < 0 || (state.grounded && depth < exitDepth) || state.mode !== "swim")) {
+      swimmers.delete(state);
+      if (state.mode === "swim") {
+        setMovementMode(state, swim.previousMode, { force: true });
+      }
+      if (onExit) onExit(state, swim.volume);
+      swim = null;
+    }
+
+    // Enter: deep enough, and not in a mode that ignores water
+    if (!swim && water && depth > enterDepth && !ignoreModes.includes(state.mode)) {
+      const previousMode = state.mode === "swim" || state.mode === "custom" ? "walk" : state.mode;
+      if (setMovementMode(state, "swim", { context: { waterHeight: water.surface } })) {
+        swim = { volume: water.volume, previousMode };
+        swimmers.set(state, swim);
+        state.airJumpsUsed = 0;
+        if (onEnter) onEnter(state, water.volume, -Math.min(0, state.vy));
+      }
+    }
+
+    if (!swim) return false;
+    swim.volume = water.volume;
+
+    const diving = state.inputY < 0;
+    const gravity = state.config.gravity;
+
+    if (diving) {
+      // Cancel gravity and sink steadily; the spring floats back up on release
+      applyForce(state, 0, gravity - diveForce * -state.inputY, 0);
+    } else {
+      // Spring toward the bobbing float line, cancelling gravity
+      const target = floatDepth + Math.sin(state.time * bobSpeed) * bobAmount;
+      const lift = gravity + buoyancy * (depth - target) - damping * state.vy;
+      applyForce(state, 0, lift, 0);
+    }
+    return true;
+  }
+
+  /**
+   * Check if a movement state is currently swimming in this world
+   * @param {Object} state - Movement state
+   * @returns {boolean}
+   */
+  function isSwimming(state) {
+    return swimmers.has(state);
+  }
+
+  /**
+   * Set the water entry callback (splashes)
+   * @param {Function} callback - Function(state, volume, impactSpeed)
+   */
+  function setOnEnter(callback) {
+    onEnter = callback;
+  }
+
+  /**
+   * Set the water exit callback
+   * @param {Function} callback - Function(state, volume)
+   */
+  function setOnExit(callback) {
+    onExit = callback;
+  }
+
+  /**
+   * Get number of registered volumes
+   * @returns {number}
+   */
+  function size() {
+    return volumes.size;
+  }
+
+  return {
+    addBox,
+    addHeightfield,
+    remove,
+    clear,
+    getWaterAt,
+    update,
+    isSwimming,
+    setOnEnter,
+    setOnExit,
+    size,
+  };
+}
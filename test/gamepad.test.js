@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createGamepadManager } from "../src/gamepad.js";
+
+let pads = [];
+let original;
+
+beforeEach(() => {
+  pads = [];
+  original = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+  Object.defineProperty(globalThis, "navigator", {
+    value: { getGamepads: () => pads },
+    configurable: true,
+    writable: true,
+  });
+});
+
+afterEach(() => {
+  if (original) Object.defineProperty(globalThis, "navigator", original);
+  else delete globalThis.navigator;
+});
+
+function pad(axes = [0, 0, 0, 0], pressed = []) {
+  const buttons = Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i), value: 0 }));
+  return { index: 0, id: "Test pad", mapping: "standard", connected: true, axes, buttons };
+}
+
+test("stick tilt inside the dead zone is ignored", () => {
+  const gamepad = createGamepadManager({ deadZone: 0.2 });
+  pads = [pad([0.1, -0.15, 0.12, 0.05])];
+  const snap = gamepad.poll(1 / 60);
+  assert.equal(snap.connected, true);
+  assert.equal(snap.screenDx, 0);
+  assert.equal(snap.screenDy, 0);
+  assert.deepEqual(snap.orbit, { deltaAngle: 0, deltaPitch: 0 });
+});
+
+test("stick tilt past the dead zone rises from zero to full", () => {
+  const gamepad = createGamepadManager({ deadZone: 0.2, curve: "linear" });
+  pads = [pad([0.6, 0, 0, 0])];
+  assert.ok(Math.abs(gamepad.poll().screenDx - 0.5) < 1e-9);
+
+  pads = [pad([0, -1, 0, 0])];
+  const full = gamepad.poll();
+  assert.equal(full.screenDx, 0);
+  assert.equal(full.screenDy, -1);
+});
+
+test("right stick maps to orbit deltas scaled by speed and dt", () => {
+  const gamepad = createGamepadManager({ deadZone: 0, curve: "linear", orbitSpeed: 2, pitchSpeed: 1 });
+  pads = [pad([0, 0, 1, 0])];
+  assert.deepEqual(gamepad.poll(0.5).orbit, { deltaAngle: 1, deltaPitch: 0 });
+  pads = [pad([0, 0, 0, -1])];
+  assert.deepEqual(gamepad.poll(0.5).orbit, { deltaAngle: 0, deltaPitch: -0.5 });
+});
+
+test("invertX/invertY flip the orbit direction", () => {
+  const gamepad = createGamepadManager({ deadZone: 0, curve: "linear", orbitSpeed: 2, pitchSpeed: 1, invertX: true, invertY: true });
+  pads = [pad([0, 0, 1, 0])];
+  assert.equal(gamepad.poll(0.5).orbit.deltaAngle, -1);
+  pads = [pad([0, 0, 0, -1])];
+  assert.equal(gamepad.poll(0.5).orbit.deltaPitch, 0.5);
+});
+
+test("jump fires only on the press frame", () => {
+  const gamepad = createGamepadManager();
+  pads = [pad(undefined, [0])];
+  assert.equal(gamepad.poll().jump, true);
+  const held = gamepad.poll();
+  assert.equal(held.jump, false);
+  assert.equal(held.jumpHeld, true);
+});
+
+test("connect and disconnect callbacks fire from polling", () => {
+  const gamepad = createGamepadManager();
+  const log = [];
+  gamepad.setOnConnect((p) => log.push(["connect", p.id]));
+  gamepad.setOnDisconnect((p) => log.push(["disconnect", p.id]));
+
+  pads = [pad()];
+  gamepad.poll();
+  pads = [];
+  assert.equal(gamepad.poll().connected, false);
+  assert.deepEqual(log, [["connect", "Test pad"], ["disconnect", "Test pad"]]);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGestureRecognizer } from "../src/gestures.js";
+
+function touch(identifier, clientX, clientY) {
+  return { identifier, clientX, clientY };
+}
+
+function setup(options = {}) {
+  let clock = 1000;
+  const events = [];
+  const recognizer = createGestureRecognizer({
+    now: () => clock,
+    onTap: (e) => events.push(["tap", e]),
+    onDoubleTap: (e) => events.push(["doubleTap", e]),
+    onPinch: (e) => events.push(["pinch", e]),
+    ...options,
+  });
+  const advance = (ms) => { clock += ms; };
+  return { recognizer, events, advance };
+}
+
+function tap(recognizer, advance, id, x, y) {
+  recognizer.handleTouchStart({ changedTouches: [touch(id, x, y)] });
+  advance(50);
+  recognizer.handleTouchEnd({ type: "touchend", changedTouches: [touch(id, x, y)] });
+}
+
+test("a short press fires a tap", () => {
+  const { recognizer, events, advance } = setup();
+  tap(recognizer, advance, 1, 100, 200);
+  assert.deepEqual(events, [["tap", { x: 100, y: 200 }]]);
+});
+
+test("a press that moves past the slop is a drag, not a tap", () => {
+  const { recognizer, events, advance } = setup();
+  recognizer.handleTouchStart({ changedTouches: [touch(1, 100, 200)] });
+  recognizer.handleTouchMove({ changedTouches: [touch(1, 140, 200)] });
+  advance(50);
+  recognizer.handleTouchEnd({ type: "touchend", changedTouches: [touch(1, 140, 200)] });
+  assert.deepEqual(events, []);
+});
+
+test("two quick taps in the same place fire a double-tap", () => {
+  const { recognizer, events, advance } = setup();
+  tap(recognizer, advance, 1, 100, 200);
+  advance(100);
+  tap(recognizer, advance, 2, 105, 198);
+  assert.deepEqual(events.map((e) => e[0]), ["tap", "doubleTap"]);
+
+  // A third tap starts a new pair
+  advance(100);
+  tap(recognizer, advance, 3, 105, 198);
+  assert.deepEqual(events.map((e) => e[0]), ["tap", "doubleTap", "tap"]);
+});
+
+test("taps too far apart in time stay single taps", () => {
+  const { recognizer, events, advance } = setup();
+  tap(recognizer, advance, 1, 100, 200);
+  advance(400);
+  tap(recognizer, advance, 2, 100, 200);
+  assert.deepEqual(events.map((e) => e[0]), ["tap", "tap"]);
+});
+
+test("two fingers spreading apart report the pinch scale and zoom the camera", () => {
+  const cameraState = { zoom: 1 };
+  const { recognizer, events } = setup({ cameraState });
+  recognizer.handleTouchStart({ changedTouches: [touch(1, 100, 100), touch(2, 200, 100)] });
+  recognizer.handleTouchMove({ changedTouches: [touch(1, 50, 100), touch(2, 250, 100)] });
+
+  const pinches = events.filter((e) => e[0] === "pinch");
+  assert.equal(pinches.length, 1);
+  assert.equal(pinches[0][1].distance, 200);
+  assert.equal(pinches[0][1].scale, 2);
+  assert.notEqual(cameraState.zoom, 1);
+
+  // Lifting the fingers never counts as a tap
+  recognizer.handleTouchEnd({ type: "touchend", changedTouches: [touch(1, 50, 100), touch(2, 250, 100)] });
+  assert.ok(!events.some((e) => e[0] === "tap"));
+});
+
+test("touches claimed by the joystick are ignored", () => {
+  const { recognizer, events, advance } = setup();
+  recognizer.touchState.joystickTouchId = 7;
+  tap(recognizer, advance, 7, 100, 200);
+  assert.deepEqual(events, []);
+});
@@ -0,0 +1,5 @@
+// Lets Node load src/ as-is: the sources use extensionless relative imports
+// (bundler style), so resolve "./movement" to "./movement.js" under test.
+import { register } from "node:module";
+
+register("./resolve-hooks.js", import.meta.url);
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMovementState } from "../src/movement.js";
+import { createInputRecorder, parseRecording, replayRecording } from "../src/replay.js";
+import { createWaterWorld } from "../src/water.js";
+
+const ground = () => 0;
+
+function recordSession(onFrame) {
+  const state = createMovementState();
+  const recorder = createInputRecorder(state);
+  const trajectory = [];
+  for (let i = 0; i < 180; i++) {
+    onFrame(i, state, recorder);
+    recorder.update(state, 1 / 60, ground, null, 1);
+    trajectory.push([state.x, state.y, state.z]);
+  }
+  return { state, json: recorder.toJSON(), trajectory };
+}
+
+test("replay reproduces the recorded trajectory exactly", () => {
+  const session = recordSession((i, state, rec) => {
+    if (i === 2) rec.setInput(state, 1, 0);
+    if (i === 30) rec.pressJump(state);
+    if (i === 40) rec.releaseJump(state);
+    if (i === 60) rec.setInput(state, 0.5, -1);
+    if (i === 90) rec.applyImpulse(state, 4, 2, 0, { controlLoss: 0.2 });
+    if (i === 120) rec.setMovementMode(state, "run");
+    if (i === 150) rec.clearInput(state);
+  });
+
+  const { state, trajectory } = replayRecording(session.json, { getGroundHeight: ground });
+  assert.deepEqual(trajectory, session.trajectory);
+  assert.equal(state.mode, session.state.mode);
+});
+
+test("replay includes changes made outside the recorder", () => {
+  const water = createWaterWorld();
+  water.addBox(4, -5, 20, 5, 0, { bottom: -10 });
+  const deep = (x) => (x > 4 ? -3 : 0);
+
+  const state = createMovementState();
+  const recorder = createInputRecorder(state);
+  const trajectory = [];
+  let swam = false;
+  for (let i = 0; i < 240; i++) {
+    if (i === 0) recorder.setInput(state, 1, 0);
+    if (i === 200) state.vx += 3; // Game code writing the state directly
+    swam = water.update(state) || swam;
+    recorder.update(state, 1 / 60, deep, null, 1);
+    trajectory.push([state.x, state.y, state.z]);
+  }
+
+  assert.ok(swam);
+  const replay = replayRecording(recorder.toJSON(), { getGroundHeight: deep });
+  assert.deepEqual(replay.trajectory, trajectory);
+});
+
+test("parseRecording rejects malformed recordings", () => {
+  const base = { v: 3, seed: null, config: {}, start: {} };
+  assert.throws(() => parseRecording("{"), /Invalid recording: not JSON/);
+  assert.throws(() => parseRecording({ ...base, v: 1, frames: [] }), /unsupported version/);
+  assert.throws(() => parseRecording({ ...base, frames: [[-1]] }), /Invalid recording: frames\[0\]/);
+  assert.throws(() => parseRecording({ ...base, frames: [[0.1, ["x"]]] }), /frames\[0\]\[1\]/);
+  assert.throws(() => parseRecording({ ...base, frames: [[0.1, ["i", "1", 0]]] }), /frames\[0\]\[1\]/);
+  assert.throws(() => parseRecording({ ...base, frames: [[0.1, ["s", { bogus: 1 }]]] }), /frames\[0\]\[1\]/);
+  assert.doesNotThrow(() => parseRecording({ ...base, frames: [[0.1, ["i", 1, 0], ["c"]]] }));
+});